@@ -0,0 +1,484 @@
+// ====== COMMAND-LINE CLIENT ======
+// Battery data from a terminal or a cron job, using the same core as the
+// dashboard (core.js). Needs Node 18 or newer.
+//
+//   node cli.js status                      connection test (the Apps Script test action)
+//   node cli.js latest                      latest reading with its alarm state
+//   node cli.js tail [--interval 2000] [--count 10]
+//                                           follow live readings until Ctrl+C or --count
+//   node cli.js history [--from 2026-10-01] [--to 2026-10-02]
+//                                           every history row in the range, all pages
+//   node cli.js export --format csv|json [--from ...] [--to ...] [--output file]
+//
+// Options:
+//   --api <url>         Apps Script web app URL (or BATTERY_API)
+//   --device <id>       device to query (default "default")
+//   --token <token>     session token (or BATTERY_TOKEN)
+//   --user <name>       log in first, with --password (or BATTERY_PASSWORD)
+//   --timeout <ms>      request timeout (default 10000)
+//   --profile <file>    battery profile JSON, alarm thresholds scale with it
+//   --rules <file>      alarm rules JSON, as saved by the dashboard
+//   --json              machine readable output
+//
+// Exit codes follow the Nagios plugin convention, so the CLI drops into
+// existing monitoring scripts:
+//   0  OK        reading within all alarm thresholds
+//   1  WARNING   a warning threshold is crossed, or the ESP32 stopped reporting
+//   2  CRITICAL  a critical threshold is crossed
+//   3  UNKNOWN   server unreachable, login required, no data, a required value
+//                missing or invalid, or bad arguments
+//
+// A crossed threshold always wins over UNKNOWN: a reading at 60 °C with the
+// battery value missing is CRITICAL, and so is tail after one failed poll.
+//
+// status, history and export exit with 0 or 3 only.
+const fs = require('fs');
+const path = require('path');
+const BatteryCore = require('./core.js');
+
+const {
+    DEFAULT_BATTERY_PROFILE, ALARM_METRICS, READING_SCHEMA,
+    normalizeReading, validateReading, getRowTime, getRowPower,
+    buildHistoryFilterParams, applyHistoryFilters, fetchAllHistoryRows,
+    getDefaultAlarmRules, getAlarmLevel, alarmLevelRank,
+    buildCsvExport, buildJsonExport,
+    createAppsScriptClient, createConnectionMonitor
+} = BatteryCore;
+
+const CONFIG = {
+    apiEndpoint: "https://script.google.com/macros/s/AKfycbwzL42zeBad2lZh5S3NzQwQiiURV0xdpbrZcbKaK_X6ZnIzX3tAQ8IY_k_gGHjw9ylqsQ/exec",
+    deviceId: 'default',
+    requestTimeout: 10000,
+    refreshInterval: 2000,
+    maxBackoffInterval: 60000,
+    espTimeout: 15000
+};
+
+const EXIT_CODES = {
+    none: 0,
+    warning: 1,
+    critical: 2,
+    unknown: 3
+};
+
+// Least to most severe, which is not the exit code order
+const LEVEL_SEVERITY = ['none', 'unknown', 'warning', 'critical'];
+
+const COMMANDS = {
+    status: runStatus,
+    latest: runLatest,
+    tail: runTail,
+    history: runHistory,
+    export: runExport
+};
+
+// Options that take a value; everything else starting with -- is a flag
+const VALUE_OPTIONS = ['api', 'device', 'token', 'user', 'password', 'timeout', 'profile', 'rules', 'interval', 'count', 'from', 'to', 'format', 'output'];
+
+// ====== ARGUMENTS ======
+function parseArgs(argv) {
+    const args = { command: null, options: {} };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        
+        if (!arg.startsWith('--')) {
+            if (args.command) throw new Error(`Unexpected argument: ${arg}`);
+            args.command = arg;
+            continue;
+        }
+        
+        const [name, inline] = arg.slice(2).split(/=(.*)/s);
+        if (VALUE_OPTIONS.includes(name)) {
+            const value = inline !== undefined ? inline : argv[++i];
+            if (value === undefined) throw new Error(`--${name} needs a value`);
+            args.options[name] = value;
+        } else if (name === 'json' || name === 'help') {
+            args.options[name] = true;
+        } else {
+            throw new Error(`Unknown option: --${name}`);
+        }
+    }
+    
+    return args;
+}
+
+function parseTime(value, name) {
+    if (value === undefined) return null;
+    
+    const time = new Date(value).getTime();
+    if (isNaN(time)) throw new Error(`--${name} is not a valid date: ${value}`);
+    return time;
+}
+
+function parsePositive(value, name, fallback) {
+    if (value === undefined) return fallback;
+    
+    const number = parseInt(value);
+    if (!(number > 0)) throw new Error(`--${name} must be a positive number`);
+    return number;
+}
+
+function readJsonFile(file, name) {
+    try {
+        return JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read --${name} ${file}: ${error.message}`);
+    }
+}
+
+// ====== CLIENT ======
+async function createClient(options) {
+    let token = options.token || process.env.BATTERY_TOKEN || null;
+    
+    const client = createAppsScriptClient({
+        endpoint: options.api || process.env.BATTERY_API || CONFIG.apiEndpoint,
+        timeout: parsePositive(options.timeout, 'timeout', CONFIG.requestTimeout),
+        params: () => Object.assign({ device: options.device || CONFIG.deviceId }, token ? { token: token } : {})
+    });
+    
+    if (options.user) {
+        const password = options.password || process.env.BATTERY_PASSWORD;
+        if (!password) throw new Error('--user needs --password or BATTERY_PASSWORD');
+        
+        const response = await client.login(options.user, password);
+        if (response.status !== 'success') {
+            throw new Error('Login failed: ' + (response.message || 'Unknown error'));
+        }
+        token = response.token;
+    }
+    
+    return client;
+}
+
+// Apps Script answers errors with HTTP 200, the status is in the body
+function checkResponse(response) {
+    if (response.code === 'unauthorized') {
+        throw new Error('Login required, use --user/--password or --token');
+    }
+    if (response.status !== 'success') {
+        throw new Error('Server error: ' + (response.message || 'Unknown error'));
+    }
+    return response;
+}
+
+// ====== ALARMS ======
+function getAlarmRules(options) {
+    if (options.rules) {
+        const rules = readJsonFile(options.rules, 'rules');
+        if (!Array.isArray(rules)) throw new Error('--rules must contain a JSON array of rules');
+        return rules;
+    }
+    
+    const profile = options.profile
+        ? Object.assign({}, DEFAULT_BATTERY_PROFILE, readJsonFile(options.profile, 'profile'))
+        : DEFAULT_BATTERY_PROFILE;
+    return getDefaultAlarmRules(profile);
+}
+
+// Thresholds only, without the dashboard's minimum durations: a one-shot check has no history
+function evaluateReading(raw, rules) {
+    const reading = normalizeReading(raw);
+    const result = validateReading(reading);
+    const values = Object.assign({}, result.values, { power: getRowPower(result.values) });
+    
+    const alarms = [];
+    rules.forEach(rule => {
+        const value = values[rule.metric];
+        if (!rule.enabled || typeof value !== 'number') return;
+        
+        const level = getAlarmLevel(rule, value, 'none');
+        if (level !== 'none') {
+            alarms.push({ id: rule.id, label: rule.label, metric: rule.metric, level: level, value: value });
+        }
+    });
+    
+    const alarmLevel = alarms.reduce((worst, alarm) =>
+        alarmLevelRank(alarm.level) > alarmLevelRank(worst) ? alarm.level : worst, 'none');
+    
+    // A missing or broken required value cannot be checked, so without an alarm the result is not OK either
+    const unchecked = Object.keys(result.flags).some(field => READING_SCHEMA[field] && READING_SCHEMA[field].required);
+    const level = unchecked ? worstLevel(alarmLevel, 'unknown') : alarmLevel;
+    
+    return { reading: reading, values: values, flags: result.flags, alarms: alarms, level: level };
+}
+
+function worstLevel(a, b) {
+    return LEVEL_SEVERITY.indexOf(a) >= LEVEL_SEVERITY.indexOf(b) ? a : b;
+}
+
+// ====== OUTPUT ======
+function formatValue(value, digits = 1, unit = '') {
+    if (typeof value !== 'number') return '--';
+    return value.toFixed(digits) + (unit ? ' ' + unit : '');
+}
+
+function formatReadingTime(reading) {
+    const time = getRowTime(reading);
+    return time === null ? '--' : new Date(time).toLocaleString('en-GB');
+}
+
+function printReading(result, response) {
+    const values = result.values;
+    const field = (label, key, text) => {
+        const flag = result.flags[key];
+        console.log(`${label.padEnd(13)}${text}${flag ? `  [${flag}]` : ''}`);
+    };
+    
+    field('Time', 'timestamp', formatReadingTime(result.reading));
+    field('Voltage', 'voltage', formatValue(values.voltage, 2, 'V'));
+    field('Current', 'current', formatValue(values.current, 2, 'A'));
+    field('Power', 'power', formatValue(values.power, 1, 'W'));
+    field('Temperature', 'temperature', formatValue(values.temperature, 1, '°C'));
+    field('Temp limit', 'temp_limit', formatValue(values.temp_limit, 1, '°C'));
+    field('Battery', 'battery', formatValue(values.battery, 1, '%'));
+    field('Fan', 'fan_status', values.fan_status || '--');
+    
+    if (response && response.esp_connected === false) {
+        console.log(`${'ESP32'.padEnd(13)}not reporting${response.time_since_last ? ` (${response.time_since_last}s)` : ''}`);
+    }
+    
+    if (result.alarms.length === 0) {
+        console.log(`${'Alarms'.padEnd(13)}none`);
+    }
+    result.alarms.forEach((alarm, index) => {
+        const metric = ALARM_METRICS[alarm.metric];
+        const label = index === 0 ? 'Alarms' : '';
+        console.log(`${label.padEnd(13)}${alarm.level.toUpperCase()} ${alarm.label} (${formatValue(alarm.value, 1, metric ? metric.unit : '')})`);
+    });
+}
+
+function formatTailLine(result) {
+    const values = result.values;
+    const flagged = Object.keys(result.flags).length > 0 ? ' [' + Object.keys(result.flags).join(',') + ']' : '';
+    const alarms = result.alarms.map(alarm => `${alarm.level.toUpperCase()} ${alarm.label}`).join(', ');
+    
+    return [
+        formatReadingTime(result.reading),
+        formatValue(values.voltage, 2, 'V').padStart(8),
+        formatValue(values.current, 2, 'A').padStart(8),
+        formatValue(values.temperature, 1, '°C').padStart(8),
+        formatValue(values.battery, 1, '%').padStart(7),
+        (values.fan_status || '--').padStart(4)
+    ].join('  ') + flagged + (alarms ? '  ' + alarms : '');
+}
+
+// ====== COMMANDS ======
+async function runStatus(client, options) {
+    const response = await client.test();
+    checkResponse(response);
+    
+    if (options.json) {
+        console.log(JSON.stringify(response, null, 2));
+    } else {
+        console.log(`✅ ${response.message || 'Connection test passed'}`);
+    }
+    return 'none';
+}
+
+async function runLatest(client, options) {
+    const rules = getAlarmRules(options);
+    const response = checkResponse(await client.getLatest());
+    if (!response.data) throw new Error('No data available from server');
+    
+    const result = evaluateReading(response.data, rules);
+    const level = response.esp_connected === false ? worstLevel(result.level, 'warning') : result.level;
+    
+    if (options.json) {
+        console.log(JSON.stringify({
+            level: level,
+            esp_connected: response.esp_connected,
+            time_since_last: response.time_since_last,
+            reading: result.values,
+            timestamp: result.reading.timestamp || null,
+            flags: result.flags,
+            alarms: result.alarms
+        }, null, 2));
+    } else {
+        printReading(result, response);
+    }
+    return level;
+}
+
+// Polls like the dashboard: fixed rate while the server answers, backoff while it does not
+async function runTail(client, options) {
+    const rules = getAlarmRules(options);
+    const count = parsePositive(options.count, 'count', Infinity);
+    const settings = Object.assign({}, CONFIG, { refreshInterval: parsePositive(options.interval, 'interval', CONFIG.refreshInterval) });
+    const state = {};
+    const monitor = createConnectionMonitor(state, settings);
+    
+    let worst = 'none';
+    let printed = 0;
+    let lastKey = null;
+    let stopped = false;
+    process.once('SIGINT', () => {
+        stopped = true;
+    });
+    
+    while (!stopped && printed < count) {
+        try {
+            const response = await client.getLatest();
+            if (response.code === 'unauthorized') checkResponse(response);
+            
+            if (monitor.recordResponse(response)) {
+                // The backend repeats the last reading until the ESP32 sends a new one
+                const key = response.data.timestamp || JSON.stringify(response.data);
+                if (key !== lastKey) {
+                    lastKey = key;
+                    const result = evaluateReading(response.data, rules);
+                    worst = worstLevel(worst, result.level);
+                    printed++;
+                    console.log(options.json
+                        ? JSON.stringify({ level: result.level, reading: result.values, timestamp: result.reading.timestamp || null, flags: result.flags, alarms: result.alarms })
+                        : formatTailLine(result));
+                }
+            } else if (response.status !== 'success') {
+                console.error(`⚠️ Server error: ${response.message || 'Unknown error'}`);
+            }
+        } catch (error) {
+            if (error.message.startsWith('Login required')) throw error;
+            monitor.recordFailure();
+            console.error(`⚠️ ${error.message}`);
+        }
+        
+        const failures = monitor.recordPoll();
+        if (failures > 0 || (state.online && !state.espConnected)) {
+            worst = worstLevel(worst, failures > 0 ? 'unknown' : 'warning');
+        }
+        if (stopped || printed >= count) break;
+        
+        await sleep(monitor.getPollDelay(), () => stopped);
+    }
+    
+    return worst;
+}
+
+async function runHistory(client, options) {
+    const result = await loadHistoryRows(client, options);
+    
+    if (options.json) {
+        console.log(buildJsonExport(result));
+    } else {
+        result.forEach(row => {
+            const flags = row._flags && Object.keys(row._flags).length > 0 ? '  [' + Object.keys(row._flags).join(',') + ']' : '';
+            console.log([
+                formatReadingTime(row),
+                formatValue(row.voltage, 2, 'V').padStart(8),
+                formatValue(row.current, 2, 'A').padStart(8),
+                formatValue(row.temperature, 1, '°C').padStart(8),
+                formatValue(row.battery, 1, '%').padStart(7),
+                (row.fan_status || '--').padStart(4),
+                formatValue(getRowPower(row), 1, 'W').padStart(9)
+            ].join('  ') + flags);
+        });
+        console.error(`📚 ${result.length} rows`);
+    }
+    return 'none';
+}
+
+async function runExport(client, options) {
+    const format = options.format || 'csv';
+    if (format !== 'csv' && format !== 'json') throw new Error('--format must be csv or json');
+    
+    const rows = await loadHistoryRows(client, options);
+    let output = format === 'json' ? buildJsonExport(rows) + '\n' : buildCsvExport(rows);
+    
+    if (options.output) {
+        fs.writeFileSync(path.resolve(options.output), output);
+        console.error(`💾 Exported ${rows.length} rows to ${options.output}`);
+    } else {
+        // The BOM is for Excel, other tools reading stdout trip over it
+        process.stdout.write(output.replace(/^\ufeff/, ''));
+    }
+    return 'none';
+}
+
+// Oldest first; backends that ignore the range are filtered here
+async function loadHistoryRows(client, options) {
+    const filters = {
+        from: parseTime(options.from, 'from'),
+        to: parseTime(options.to, 'to')
+    };
+    if (filters.from && filters.to && filters.from > filters.to) {
+        throw new Error('--from must be before --to');
+    }
+    
+    const result = await fetchAllHistoryRows(
+        params => client.getHistory(params).then(checkResponse),
+        buildHistoryFilterParams(filters),
+        (page, totalPages) => {
+            if (totalPages > 1 && process.stderr.isTTY) {
+                process.stderr.write(`\r📥 Page ${page} of ${totalPages}`);
+                if (page === totalPages) process.stderr.write('\n');
+            }
+        }
+    );
+    
+    if (result.truncated) {
+        const total = result.totalRecords !== null ? ` of ${result.totalRecords}` : '';
+        console.error(`⚠️ Only the newest ${result.rows.length}${total} readings could be loaded, narrow the range with --from/--to`);
+    }
+    
+    const rows = result.filtered ? result.rows : applyHistoryFilters(result.rows, filters);
+    return rows.sort((a, b) => (getRowTime(a) || 0) - (getRowTime(b) || 0));
+}
+
+function sleep(ms, isStopped) {
+    return new Promise(resolve => {
+        const started = Date.now();
+        const check = () => {
+            if (isStopped() || Date.now() - started >= ms) {
+                resolve();
+            } else {
+                setTimeout(check, Math.min(200, ms - (Date.now() - started)));
+            }
+        };
+        check();
+    });
+}
+
+function printUsage() {
+    const text = fs.readFileSync(__filename, 'utf8').split('\n');
+    const end = text.findIndex(line => !line.startsWith('//'));
+    console.log(text.slice(1, end).map(line => line.replace(/^\/\/ ?/, '')).join('\n'));
+}
+
+// ====== MAIN ======
+async function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        return EXIT_CODES.unknown;
+    }
+    
+    if (args.options.help || !args.command) {
+        printUsage();
+        return args.options.help ? 0 : EXIT_CODES.unknown;
+    }
+    
+    const command = COMMANDS[args.command];
+    if (!command) {
+        console.error(`❌ Unknown command: ${args.command} (status, latest, tail, history, export)`);
+        return EXIT_CODES.unknown;
+    }
+    
+    try {
+        const client = await createClient(args.options);
+        const level = await command(client, args.options);
+        return EXIT_CODES[level];
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        return EXIT_CODES.unknown;
+    }
+}
+
+if (require.main === module) {
+    main().then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { evaluateReading: evaluateReading, worstLevel: worstLevel };
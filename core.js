@@ -0,0 +1,1403 @@
+// ====== BATTERY MONITOR CORE ======
+// Everything the dashboard knows about batteries that does not need a page:
+// the Apps Script API client, reading normalization and validation, history
+// filtering/sorting/paging, the server / ESP32 connection state and the
+// derived metrics (power, energy, temperature margin, OCV SoC, health, alarms).
+// Works as a plain <script> (window.BatteryCore) and as a Node module
+// (require('./core.js'), Node 18+ for the global fetch). No DOM, no storage,
+// no logging; callers decide how to show things.
+//
+// Readings
+//   normalizeReading(row)            numeric fields parsed, date/time filled in from timestamp
+//   validateReading(row)             { values, flags }, flagged fields come back as null
+//   validateHistoryRows(rows)        validates in place, sets row._flags
+//   parseCsv(text)                   header row -> array of row objects
+//   getRowTime / getRowPower / getTempMargin / getChargeState(current)
+//   annotateHistoryRows(rows, previous?) sets row._energy (Wh since the previous row);
+//                                    previous is the reading before the oldest row, if known
+//
+// History
+//   paginateRows(rows, page, limit)  Apps Script shaped { status, data, pagination }
+//   buildHistoryFilterParams(filters) / parseHistoryFilterParams(params)
+//   applyHistoryFilters(rows, filters) / sortHistoryRows(rows, column, order)
+//   queryHistoryRows(rows, params)   filter + sort + page in one go, for in-memory adapters
+//   fetchAllHistoryRows(getHistory, params, onProgress)  walks every page of a backend,
+//                                    { rows, filtered, truncated, totalRecords }
+//   walkHistoryByDay(getHistory, { from, to }, onRows, onProgress)  the same a day at a time, oldest first;
+//                                    backends that ignore from/to are read once and split
+//
+// Derived metrics
+//   getOcvSoc(voltage, profile) / computeHealth(rows, profile)
+//   getDefaultAlarmRules(profile) / getAlarmLevel(rule, value, currentLevel)
+//   getReadingAlarmLevel(reading, rules)
+//
+// Reports
+//   getReportPeriod('day' | 'week' | 'month', date)  { from, to, bucket }
+//   computeReport(rows, period, { maxGap })          min/max/avg, time above the limit,
+//                                                    fan duty and availability, per hour or day
+//   createReport(period, { maxGap })                 the same fed in batches: .add(rows), .finish()
+//   computeThermal(rows, { from, to, maxGap })       time above the limit, fan switching and duty,
+//                                                    time-to-cool after the fan comes on
+//   createThermal({ from, to, maxGap })              the same fed in batches: .add(rows), .finish()
+//
+// Export
+//   buildCsvExport(rows, columns) / buildJsonExport(rows, columns), columns default to EXPORT_COLUMNS
+//
+// Network
+//   fetchWithTimeout(url, timeout, options) / requestJson(url, { timeout, method, headers, body })
+//   createAppsScriptClient({ endpoint, timeout, params, request })
+//   createConnectionMonitor(state, settings)
+//
+// Positive current is drawn by the load (discharge), negative current charges the pack.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.BatteryCore = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // ====== READING SCHEMA ======
+    // Physically plausible ranges; anything outside points at a sensor or transport fault
+    const READING_SCHEMA = {
+        voltage: { min: 0, max: 100, required: true },
+        current: { min: -500, max: 500, required: true },
+        temperature: { min: -40, max: 125, required: true },
+        battery: { min: 0, max: 100, required: true },
+        remaining_time: { min: 0, max: 100000, required: false },
+        temp_limit: { min: 0, max: 100, required: false },
+        fan_status: { options: ['ON', 'OFF'], required: false }
+    };
+
+    const QUALITY_FLAGS = {
+        missing: 'Missing',
+        invalid: 'Invalid',
+        range: 'Out of range',
+        stale: 'Stale'
+    };
+
+    const DEFAULT_PAGE_SIZE = 15;
+    const DEFAULT_TIMEOUT = 10000;
+
+    // fetchAllHistoryRows reads at most this many pages of this size (100k rows)
+    const HISTORY_FETCH_PAGE_SIZE = 500;
+    const HISTORY_FETCH_MAX_PAGES = 200;
+
+    // ====== BATTERY PROFILE ======
+    // Per-cell voltages (min / nominal / max) and rated full cycles for the supported chemistries
+    const BATTERY_CHEMISTRIES = {
+        liion: { label: 'Li-ion', cellMin: 3.0, cellNominal: 3.7, cellMax: 4.2, cycleLife: 500 },
+        lifepo4: { label: 'LiFePO4', cellMin: 2.5, cellNominal: 3.2, cellMax: 3.65, cycleLife: 2000 },
+        leadAcid: { label: 'Lead-acid', cellMin: 1.75, cellNominal: 2.0, cellMax: 2.4, cycleLife: 300 },
+        custom: { label: 'Custom', cycleLife: 500 }
+    };
+
+    // Resting cell voltage vs state of charge, used to correct the coulomb counter
+    const OCV_CURVES = {
+        liion: [[3.0, 0], [3.3, 5], [3.45, 10], [3.6, 20], [3.68, 30], [3.74, 40], [3.8, 50], [3.87, 60], [3.95, 70], [4.03, 80], [4.1, 90], [4.2, 100]],
+        lifepo4: [[2.5, 0], [3.0, 5], [3.2, 10], [3.25, 20], [3.28, 30], [3.3, 40], [3.31, 50], [3.32, 60], [3.33, 70], [3.34, 80], [3.36, 90], [3.4, 99], [3.65, 100]],
+        leadAcid: [[1.75, 0], [1.885, 10], [1.93, 20], [1.958, 30], [1.983, 40], [2.01, 50], [2.033, 60], [2.053, 70], [2.07, 80], [2.085, 90], [2.122, 100]]
+    };
+
+    const DEFAULT_BATTERY_PROFILE = {
+        chemistry: 'liion',
+        cells: 7,
+        nominalVoltage: 25.9,
+        minVoltage: 21.0,
+        maxVoltage: 29.4,
+        maxCurrent: 10.0,
+        tempMin: 20.0,
+        tempWarning: 40.0,
+        tempCritical: 45.0,
+        tempLimitMax: 60.0,
+        capacityAh: 20.0,
+        socEstimator: false,
+        socDriftThreshold: 10.0
+    };
+
+    const HEALTH_MAX_STEP_GAP = 120000;
+    const HEALTH_MIN_SOC_SWING = 2;
+
+    // ====== ALARM RULES ======
+    const ALARM_METRICS = {
+        voltage: { label: 'Voltage', unit: 'V' },
+        current: { label: 'Current', unit: 'A' },
+        temperature: { label: 'Temperature', unit: '°C' },
+        battery: { label: 'Battery', unit: '%' },
+        power: { label: 'Power', unit: 'W' }
+    };
+
+    const DEFAULT_ALARM_RULES = [
+        { id: 'voltage-low', metric: 'voltage', label: 'Under-voltage', direction: 'below', warning: 23.0, critical: 22.0, hysteresis: 0.3, minDuration: 5, enabled: true },
+        { id: 'voltage-high', metric: 'voltage', label: 'Over-voltage', direction: 'above', warning: 29.0, critical: 29.6, hysteresis: 0.2, minDuration: 5, enabled: true },
+        { id: 'current-high', metric: 'current', label: 'Over-current', direction: 'above', warning: 8.0, critical: 10.0, hysteresis: 0.5, minDuration: 3, enabled: true },
+        { id: 'temperature-high', metric: 'temperature', label: 'Over-temperature', direction: 'above', warning: 40.0, critical: 45.0, hysteresis: 1.0, minDuration: 10, enabled: true },
+        { id: 'battery-low', metric: 'battery', label: 'Low battery', direction: 'below', warning: 20.0, critical: 10.0, hysteresis: 2.0, minDuration: 30, enabled: true },
+        { id: 'power-high', metric: 'power', label: 'Over-power', direction: 'above', warning: 200.0, critical: 250.0, hysteresis: 10.0, minDuration: 5, enabled: true }
+    ];
+
+    // ====== READINGS ======
+    function normalizeReading(row) {
+        const numericFields = ['voltage', 'current', 'temperature', 'battery', 'remaining_time', 'temp_limit'];
+        const reading = Object.assign({}, row);
+        
+        numericFields.forEach(field => {
+            if (reading[field] !== undefined && reading[field] !== '') {
+                reading[field] = parseFloat(reading[field]);
+            }
+        });
+        
+        // Files and the ESP32 usually only carry a timestamp, the table wants date + time
+        if (reading.timestamp && (!reading.date || !reading.time)) {
+            const stamp = new Date(reading.timestamp);
+            if (!isNaN(stamp)) {
+                reading.date = reading.date || stamp.toISOString().split('T')[0];
+                reading.time = reading.time || stamp.toLocaleTimeString('en-GB');
+            }
+        }
+        
+        return reading;
+    }
+
+    function parseCsv(text) {
+        const records = [];
+        let record = [];
+        let field = '';
+        let quoted = false;
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+        
+        const header = (records.shift() || []).map(name => name.trim().toLowerCase());
+        return records
+            .filter(values => values.some(value => value.trim() !== ''))
+            .map(values => {
+                const row = {};
+                header.forEach((name, index) => {
+                    row[name] = values[index] !== undefined ? values[index].trim() : '';
+                });
+                return row;
+            });
+    }
+
+    // Checks one reading against READING_SCHEMA. Flagged fields come back as null
+    // so nothing downstream mistakes a broken sensor value for a real 0.
+    function validateReading(row) {
+        const values = {};
+        const flags = {};
+        
+        Object.keys(READING_SCHEMA).forEach(field => {
+            const rule = READING_SCHEMA[field];
+            const raw = typeof row[field] === 'string' ? row[field].trim() : row[field];
+            values[field] = null;
+            
+            if (raw === undefined || raw === null || raw === '') {
+                if (rule.required) flags[field] = 'missing';
+                return;
+            }
+            
+            if (rule.options) {
+                const option = String(raw).toUpperCase();
+                if (rule.options.includes(option)) {
+                    values[field] = option;
+                } else {
+                    flags[field] = 'invalid';
+                }
+                return;
+            }
+            
+            // Number() rather than parseFloat() so "12.5V" or "NaN" are rejected instead of half-parsed
+            const value = typeof raw === 'number' || typeof raw === 'string' ? Number(raw) : NaN;
+            if (!isFinite(value)) {
+                flags[field] = 'invalid';
+            } else if (value < rule.min || value > rule.max) {
+                flags[field] = 'range';
+            } else {
+                values[field] = value;
+            }
+        });
+        
+        if (row.timestamp && isNaN(Date.parse(row.timestamp))) {
+            flags.timestamp = 'invalid';
+        }
+        
+        return { values: values, flags: flags };
+    }
+
+    // History rows are cleaned in place; _flags marks rows that were already checked
+    function validateHistoryRows(rows) {
+        let lastTime = null;
+        
+        rows.filter(row => !row._flags)
+            .map(row => ({ row: row, time: getRowTime(row) }))
+            .sort((a, b) => (a.time || 0) - (b.time || 0))
+            .forEach(entry => {
+                const result = validateReading(entry.row);
+                Object.assign(entry.row, result.values);
+                entry.row._flags = result.flags;
+                
+                // A timestamp that repeats the previous row means the logger re-sent an old sample
+                if (entry.time !== null && entry.time === lastTime) {
+                    entry.row._flags.timestamp = 'stale';
+                }
+                lastTime = entry.time;
+            });
+        
+        return rows;
+    }
+
+    function getRowTime(row) {
+        const time = row.timestamp
+            ? new Date(row.timestamp).getTime()
+            : new Date(`${row.date}T${row.time}`).getTime();
+        return isNaN(time) ? null : time;
+    }
+
+    function getRowPower(item) {
+        if (typeof item.voltage !== 'number' || typeof item.current !== 'number') return null;
+        return item.voltage * item.current;
+    }
+
+    function getTempMargin(item) {
+        if (typeof item.temperature !== 'number' || typeof item.temp_limit !== 'number') return null;
+        return item.temperature - item.temp_limit;
+    }
+
+    function getChargeState(current) {
+        if (current > 0.1) return 'DISCHARGING';
+        if (current < -0.1) return 'CHARGING';
+        return 'IDLE';
+    }
+
+    function annotateHistoryRows(rows, previous = null) {
+        const ordered = rows
+            .map(row => ({ row: row, time: getRowTime(row) }))
+            .filter(entry => entry.time !== null)
+            .sort((a, b) => a.time - b.time);
+        
+        rows.forEach(row => {
+            row._energy = null;
+        });
+        
+        // A page of a longer history starts from the reading before it, not from nothing
+        const previousTime = previous ? getRowTime(previous) : null;
+        if (previousTime !== null && ordered.length > 0 && previousTime < ordered[0].time) {
+            ordered.unshift({ row: null, time: previousTime });
+        }
+        
+        // Energy of a row covers the interval since the previous reading, gaps over an hour are skipped
+        for (let i = 1; i < ordered.length; i++) {
+            const hours = (ordered[i].time - ordered[i - 1].time) / 3600000;
+            const power = getRowPower(ordered[i].row);
+            if (hours > 0 && hours <= 1 && power !== null) {
+                ordered[i].row._energy = power * hours;
+            }
+        }
+        
+        return rows;
+    }
+
+    // Sortable value of every history field, raw and derived
+    const HISTORY_FIELDS = {
+        date: row => getRowTime(row),
+        time: row => getRowTime(row),
+        voltage: row => row.voltage,
+        current: row => row.current,
+        temperature: row => row.temperature,
+        battery: row => row.battery,
+        fan_status: row => row.fan_status,
+        temp_limit: row => row.temp_limit,
+        power: row => getRowPower(row),
+        energy: row => row._energy,
+        temp_margin: row => getTempMargin(row),
+        charge_state: row => getChargeState(row.current)
+    };
+
+    // ====== HISTORY ======
+    function paginateRows(rows, page = 1, limit = DEFAULT_PAGE_SIZE) {
+        const totalPages = Math.max(1, Math.ceil(rows.length / limit));
+        const currentPage = Math.min(Math.max(parseInt(page) || 1, 1), totalPages);
+        const start = (currentPage - 1) * limit;
+        
+        return {
+            status: 'success',
+            data: rows.slice(start, start + limit),
+            pagination: {
+                page: currentPage,
+                totalPages: totalPages,
+                totalRecords: rows.length
+            }
+        };
+    }
+
+    function hasHistoryFilters(filters) {
+        return Object.keys(filters).some(key => filters[key] !== null && filters[key] !== undefined && filters[key] !== false);
+    }
+
+    function buildHistoryFilterParams(filters) {
+        const params = {};
+        
+        if (filters.from) params.from = new Date(filters.from).toISOString();
+        if (filters.to) params.to = new Date(filters.to).toISOString();
+        if (filters.fanOn) params.fan = 'ON';
+        if (filters.aboveLimit) params.above_limit = 1;
+        if (filters.voltageBelow !== null && filters.voltageBelow !== undefined) params.voltage_below = filters.voltageBelow;
+        
+        return params;
+    }
+
+    function parseHistoryFilterParams(params) {
+        return {
+            from: params.from ? new Date(params.from).getTime() : null,
+            to: params.to ? new Date(params.to).getTime() : null,
+            fanOn: params.fan === 'ON',
+            aboveLimit: !!params.above_limit,
+            voltageBelow: params.voltage_below !== undefined ? parseFloat(params.voltage_below) : null
+        };
+    }
+
+    // Apps Script rows may carry numbers as strings ("9" > "45"), so values are compared parsed
+    function applyHistoryFilters(rows, filters) {
+        const hasVoltageBelow = filters.voltageBelow !== null && filters.voltageBelow !== undefined;
+        
+        return rows.filter(row => {
+            const time = getRowTime(row);
+            
+            if (filters.from && (time === null || time < filters.from)) return false;
+            if (filters.to && (time === null || time > filters.to)) return false;
+            if (filters.fanOn && row.fan_status !== 'ON') return false;
+            if (!filters.aboveLimit && !hasVoltageBelow) return true;
+            
+            const reading = normalizeReading(row);
+            if (filters.aboveLimit && !(getTempMargin(reading) > 0)) return false;
+            if (hasVoltageBelow && !(typeof reading.voltage === 'number' && reading.voltage < filters.voltageBelow)) return false;
+            
+            return true;
+        });
+    }
+
+    function sortHistoryRows(rows, column, order) {
+        const direction = order === 'desc' ? -1 : 1;
+        
+        return rows.slice().sort((a, b) => {
+            const valueA = column.value(a);
+            const valueB = column.value(b);
+            
+            // Missing values always go last
+            const missingA = valueA === null || valueA === undefined || valueA === '';
+            const missingB = valueB === null || valueB === undefined || valueB === '';
+            if (missingA || missingB) return missingA - missingB;
+            
+            if (typeof valueA === 'number' && typeof valueB === 'number') {
+                return (valueA - valueB) * direction;
+            }
+            return String(valueA).localeCompare(String(valueB)) * direction;
+        });
+    }
+
+    // Filtering, sorting and paging for adapters that hold all rows in memory
+    function queryHistoryRows(rows, params) {
+        const filters = parseHistoryFilterParams(params);
+        
+        // Sheets returns the newest rows first, keep the same order here
+        let result = applyHistoryFilters(rows, filters).reverse();
+        
+        const sortValue = params.sort ? HISTORY_FIELDS[params.sort] : null;
+        if (sortValue) {
+            result = sortHistoryRows(result, { value: sortValue }, params.order);
+        }
+        
+        const response = paginateRows(result, params.page, params.limit);
+        response.filters = filters;
+        if (sortValue) {
+            response.sort = { key: params.sort, order: params.order };
+        }
+        return response;
+    }
+
+    // getHistory(params) is any adapter's history call; pages are requested until the last one.
+    // Past HISTORY_FETCH_MAX_PAGES the result is marked truncated: rows then only holds the
+    // pages read (the newest rows on Apps Script) and totalRecords says how many there were.
+    async function fetchAllHistoryRows(getHistory, params = {}, onProgress = null) {
+        const rows = [];
+        let filtered = false;
+        let truncated = false;
+        let totalRecords = null;
+        
+        for (let page = 1; page <= HISTORY_FETCH_MAX_PAGES; page++) {
+            const response = await getHistory(Object.assign({ page: page, limit: HISTORY_FETCH_PAGE_SIZE }, params));
+            if (response.status !== 'success') {
+                throw new Error(response.message || 'Failed to load history');
+            }
+            
+            rows.push(...validateHistoryRows(response.data || []));
+            filtered = filtered || !!response.filters;
+            
+            const totalPages = response.pagination ? response.pagination.totalPages : page;
+            totalRecords = response.pagination && response.pagination.totalRecords !== undefined
+                ? response.pagination.totalRecords
+                : null;
+            if (onProgress && onProgress(page, Math.min(totalPages, HISTORY_FETCH_MAX_PAGES)) === false) {
+                throw new Error('Cancelled');
+            }
+            if (page >= totalPages) break;
+            truncated = page === HISTORY_FETCH_MAX_PAGES;
+        }
+        
+        return { rows: rows, filtered: filtered, truncated: truncated, totalRecords: totalRecords };
+    }
+
+    // Feeds onRows a backend's history one calendar day at a time, oldest day first, for
+    // createReport and friends. A day stays far below the page limit of fetchAllHistoryRows;
+    // truncated says whether one still hit it. A backend that ignores from/to answers the
+    // first day with its whole history, which is then split into days here rather than
+    // downloaded again for every day. onProgress(day, days, page, totalPages)
+    async function walkHistoryByDay(getHistory, range, onRows, onProgress = null) {
+        const end = Math.min(range.to, range.now || Date.now());
+        const days = [];
+        for (let start = range.from; start < end;) {
+            const next = new Date(start);
+            next.setHours(24, 0, 0, 0);
+            days.push({ from: start, to: Math.min(next.getTime(), end) });
+            start = next.getTime();
+        }
+        
+        // Known from the first answer, so progress can tell one download from a day at a time
+        let filtering = null;
+        const query = params => Promise.resolve(getHistory(params)).then(response => {
+            if (filtering === null && response.status === 'success') filtering = !!response.filters;
+            return response;
+        });
+        
+        let truncated = false;
+        let readings = 0;
+        for (let index = 0; index < days.length; index++) {
+            const filters = { from: days[index].from, to: days[index].to - 1 };
+            const result = await fetchAllHistoryRows(query, buildHistoryFilterParams(filters), onProgress
+                ? (page, totalPages) => filtering === false
+                    ? onProgress(1, 1, page, totalPages)
+                    : onProgress(index + 1, days.length, page, totalPages)
+                : null);
+            truncated = truncated || result.truncated;
+            
+            const remaining = result.filtered ? [days[index]] : days.slice(index);
+            remaining.forEach(day => {
+                const rows = result.filtered ? result.rows : applyHistoryFilters(result.rows, { from: day.from, to: day.to - 1 });
+                readings += rows.length;
+                onRows(rows);
+            });
+            if (!result.filtered) break;
+        }
+        
+        return { truncated: truncated, readings: readings };
+    }
+
+    // ====== STATE OF CHARGE / HEALTH ======
+    function getOcvSoc(voltage, profile = DEFAULT_BATTERY_PROFILE) {
+        const curve = OCV_CURVES[profile.chemistry];
+        
+        // Custom packs have no known curve, assume a linear window
+        if (!curve) {
+            return Math.min(Math.max((voltage - profile.minVoltage) / (profile.maxVoltage - profile.minVoltage) * 100, 0), 100);
+        }
+        
+        const cell = voltage / profile.cells;
+        if (cell <= curve[0][0]) return curve[0][1];
+        
+        for (let i = 1; i < curve.length; i++) {
+            const [v1, soc1] = curve[i];
+            if (cell <= v1) {
+                const [v0, soc0] = curve[i - 1];
+                return soc0 + (cell - v0) / (v1 - v0) * (soc1 - soc0);
+            }
+        }
+        
+        return curve[curve.length - 1][1];
+    }
+
+    function computeHealth(rows, profile = DEFAULT_BATTERY_PROFILE) {
+        const readings = rows
+            .map(row => ({
+                t: getRowTime(row),
+                voltage: parseFloat(row.voltage),
+                current: parseFloat(row.current),
+                soc: parseFloat(row.battery)
+            }))
+            .filter(reading => reading.t !== null)
+            .sort((a, b) => a.t - b.t);
+        
+        const weeks = {};
+        const week = time => weeks[getWeekStart(time)] || (weeks[getWeekStart(time)] = { cycles: 0, resistances: [] });
+        const dodBins = new Array(10).fill(0);
+        const minStep = Math.max(1, profile.maxCurrent * 0.1);
+        
+        let cycles = 0;
+        let peak = null;
+        let trough = null;
+        const recordDischarge = () => {
+            const depth = peak - trough;
+            if (depth >= HEALTH_MIN_SOC_SWING) {
+                dodBins[Math.min(Math.floor(depth / 10), 9)]++;
+            }
+        };
+        
+        readings.forEach((reading, index) => {
+            const previous = readings[index - 1];
+            
+            if (!isNaN(reading.soc)) {
+                // Equivalent full cycles: every 100 % of SoC drop counts as one cycle
+                if (previous && !isNaN(previous.soc) && reading.soc < previous.soc) {
+                    const drop = (previous.soc - reading.soc) / 100;
+                    cycles += drop;
+                    week(reading.t).cycles += drop;
+                }
+                
+                // Depth of discharge: SoC swing from a local peak to the following trough
+                if (peak === null) {
+                    peak = trough = reading.soc;
+                } else if (reading.soc < trough) {
+                    trough = reading.soc;
+                } else if (reading.soc - trough >= HEALTH_MIN_SOC_SWING) {
+                    recordDischarge();
+                    peak = trough = reading.soc;
+                } else if (reading.soc > peak) {
+                    peak = trough = reading.soc;
+                }
+            }
+            
+            // Internal resistance from the voltage response to a load step: R = -ΔV / ΔI
+            if (previous && reading.t - previous.t <= HEALTH_MAX_STEP_GAP) {
+                const deltaI = reading.current - previous.current;
+                const deltaV = reading.voltage - previous.voltage;
+                if (Math.abs(deltaI) >= minStep && !isNaN(deltaV)) {
+                    const resistance = -deltaV / deltaI;
+                    if (resistance > 0 && resistance < 1) {
+                        week(reading.t).resistances.push(resistance * 1000);
+                    }
+                }
+            }
+        });
+        if (peak !== null) {
+            recordDischarge();
+        }
+        
+        // Weekly trend, resistance relative to the first week that had load steps
+        const cycleLife = BATTERY_CHEMISTRIES[profile.chemistry].cycleLife;
+        let baseline = null;
+        let resistance = null;
+        let cumulativeCycles = 0;
+        
+        const trend = Object.keys(weeks).map(Number).sort((a, b) => a - b).map(start => {
+            const data = weeks[start];
+            cumulativeCycles += data.cycles;
+            
+            if (data.resistances.length > 0) {
+                resistance = median(data.resistances);
+                if (baseline === null) baseline = resistance;
+            }
+            
+            return {
+                week: start,
+                cycles: cumulativeCycles,
+                resistance: resistance,
+                samples: data.resistances.length,
+                soh: getStateOfHealth(cumulativeCycles, resistance, baseline, cycleLife)
+            };
+        });
+        
+        return {
+            cycles: cycles,
+            cycleLife: cycleLife,
+            dodBins: dodBins,
+            resistance: resistance,
+            baseline: baseline,
+            trend: trend,
+            soh: trend.length > 0 ? trend[trend.length - 1].soh : null,
+            readings: readings.length
+        };
+    }
+
+    // Both indicators map to 100 % for a new pack and 80 % at end of life
+    // (rated cycle count reached, or internal resistance doubled); the weaker one wins
+    function getStateOfHealth(cycles, resistance, baseline, cycleLife) {
+        const fromCycles = 100 - 20 * cycles / cycleLife;
+        const fromResistance = resistance && baseline ? 100 - 20 * (resistance / baseline - 1) : 100;
+        return Math.min(Math.max(Math.min(fromCycles, fromResistance), 0), 100);
+    }
+
+    function getWeekStart(time) {
+        const date = new Date(time);
+        date.setHours(0, 0, 0, 0);
+        date.setDate(date.getDate() - (date.getDay() + 6) % 7);
+        return date.getTime();
+    }
+
+    function median(values) {
+        const sorted = values.slice().sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    // ====== ALARMS ======
+    // Default alarm thresholds scale with the pack's voltage window and ratings
+    function getDefaultAlarmRules(profile = DEFAULT_BATTERY_PROFILE) {
+        const round1 = value => Math.round(value * 10) / 10;
+        const round10 = value => Math.round(value / 10) * 10;
+        const lowBand = profile.nominalVoltage - profile.minVoltage;
+        const highBand = profile.maxVoltage - profile.nominalVoltage;
+        const voltageWindow = profile.maxVoltage - profile.minVoltage;
+        const maxPower = round10(profile.nominalVoltage * profile.maxCurrent);
+        
+        const thresholds = {
+            'voltage-low': { warning: round1(profile.minVoltage + lowBand * 0.4), critical: round1(profile.minVoltage + lowBand * 0.2), hysteresis: round1(voltageWindow * 0.035) },
+            'voltage-high': { warning: round1(profile.maxVoltage - highBand * 0.12), critical: round1(profile.maxVoltage + highBand * 0.06), hysteresis: round1(voltageWindow * 0.025) },
+            'current-high': { warning: round1(profile.maxCurrent * 0.8), critical: profile.maxCurrent, hysteresis: round1(profile.maxCurrent * 0.05) },
+            'temperature-high': { warning: profile.tempWarning, critical: profile.tempCritical },
+            'power-high': { warning: round10(maxPower * 0.8), critical: maxPower, hysteresis: Math.max(1, Math.round(maxPower * 0.04)) }
+        };
+        
+        return DEFAULT_ALARM_RULES.map(rule => Object.assign({}, rule, thresholds[rule.id]));
+    }
+
+    function getAlarmLevel(rule, value, currentLevel) {
+        const above = rule.direction === 'above';
+        const exceeds = threshold => above ? value >= threshold : value <= threshold;
+        const recovered = threshold => above ? value < threshold - rule.hysteresis : value > threshold + rule.hysteresis;
+        
+        let level = exceeds(rule.critical) ? 'critical' : exceeds(rule.warning) ? 'warning' : 'none';
+        
+        // Hysteresis: an alarm only drops once the value is clearly back inside the band
+        if (currentLevel === 'critical' && level !== 'critical' && !recovered(rule.critical)) {
+            level = 'critical';
+        } else if (currentLevel !== 'none' && level === 'none' && !recovered(rule.warning)) {
+            level = 'warning';
+        }
+        
+        return level;
+    }
+
+    function alarmLevelRank(level) {
+        return { none: 0, warning: 1, critical: 2 }[level];
+    }
+
+    // Quick glance level for packs in the background: thresholds only, no hysteresis/duration
+    function getReadingAlarmLevel(reading, rules = getDefaultAlarmRules()) {
+        let level = 'none';
+        
+        rules.forEach(rule => {
+            const value = reading[rule.metric];
+            if (!rule.enabled || typeof value !== 'number') return;
+            
+            const ruleLevel = getAlarmLevel(rule, value, 'none');
+            if (alarmLevelRank(ruleLevel) > alarmLevelRank(level)) {
+                level = ruleLevel;
+            }
+        });
+        
+        return level;
+    }
+
+    // ====== REPORTS ======
+    // Calendar period containing date: a day in hours, a week (from Monday) or a month in days
+    function getReportPeriod(type, date = Date.now()) {
+        const start = new Date(date);
+        start.setHours(0, 0, 0, 0);
+        if (type === 'week') start.setTime(getWeekStart(start.getTime()));
+        if (type === 'month') start.setDate(1);
+        
+        const end = new Date(start);
+        if (type === 'month') {
+            end.setMonth(end.getMonth() + 1);
+        } else {
+            end.setDate(end.getDate() + (type === 'week' ? 7 : 1));
+        }
+        
+        return { type: type, from: start.getTime(), to: end.getTime(), bucket: type === 'day' ? 'hour' : 'day' };
+    }
+
+    function summarizeValues(values) {
+        const numbers = values.filter(value => typeof value === 'number' && isFinite(value));
+        if (numbers.length === 0) return { min: null, max: null, avg: null, count: 0 };
+        
+        // No spread into Math.min/max, a month of 2 s readings is over a million values
+        return {
+            min: numbers.reduce((min, value) => Math.min(min, value), Infinity),
+            max: numbers.reduce((max, value) => Math.max(max, value), -Infinity),
+            avg: numbers.reduce((sum, value) => sum + value, 0) / numbers.length,
+            count: numbers.length
+        };
+    }
+
+    // Typical logging interval (median gap) and the longest gap that still counts
+    // as continuous logging: at least minimum, never below 2.5 intervals
+    function getLoggingGap(times, minimum) {
+        const gaps = times.slice(1).map((time, index) => time - times[index]).filter(gap => gap > 0);
+        const interval = gaps.length > 0 ? median(gaps) : null;
+        return { interval: interval, maxGap: Math.max(minimum || 0, interval ? interval * 2.5 : 0) };
+    }
+
+    // Min/max/avg per metric plus time-based figures for a period. Every reading
+    // stands for the time until the next one, up to maxGap; anything longer (and
+    // the time before the first reading) counts as the ESP32 being unavailable.
+    // maxGap never drops below 2.5 logging intervals, so a slow logger is not an outage.
+    // createReport takes the readings in batches, oldest batch first, and only keeps
+    // running totals, so a month of readings never has to be in memory at once.
+    function createReport(period, options = {}) {
+        const now = options.now || Date.now();
+        const end = Math.min(period.to, now);
+        
+        const buckets = [];
+        const cursor = new Date(period.from);
+        while (cursor.getTime() < period.to) {
+            const start = cursor.getTime();
+            if (period.bucket === 'hour') {
+                cursor.setHours(cursor.getHours() + 1);
+            } else {
+                cursor.setDate(cursor.getDate() + 1);
+            }
+            buckets.push(createReportTotals(start, Math.min(cursor.getTime(), period.to)));
+        }
+        const total = createReportTotals(period.from, period.to);
+        
+        const intervals = [];
+        let maxGap = options.maxGap || 0;
+        let previous = null;
+        let bucketIndex = 0;
+        let outages = 0;
+        let longestOutage = 0;
+        const recordOutage = length => {
+            if (length > maxGap) {
+                outages++;
+                longestOutage = Math.max(longestOutage, length);
+            }
+        };
+        
+        // A reading's span is only known once the next one (or the end) is there
+        const settle = (entry, next) => {
+            const span = Math.max(0, Math.min(next - entry.t, maxGap));
+            recordOutage(next - entry.t);
+            
+            while (bucketIndex < buckets.length - 1 && entry.t >= buckets[bucketIndex].end) bucketIndex++;
+            [buckets[bucketIndex], total].forEach(totals => addReportReading(totals, entry.row, span));
+        };
+        
+        const finish = totals => {
+            const elapsed = Math.max(0, Math.min(totals.end, end) - totals.start);
+            return {
+                start: totals.start,
+                end: totals.end,
+                readings: totals.readings,
+                metrics: Object.keys(totals.values).reduce((metrics, key) => {
+                    const values = totals.values[key];
+                    metrics[key] = { min: values.min, max: values.max, avg: values.count > 0 ? values.sum / values.count : null, count: values.count };
+                    return metrics;
+                }, {}),
+                aboveLimitMs: totals.aboveLimitMs,
+                fanDuty: totals.fanKnownMs > 0 ? totals.fanOnMs / totals.fanKnownMs * 100 : null,
+                availability: elapsed > 0 ? Math.min(totals.onlineMs / elapsed * 100, 100) : null
+            };
+        };
+        
+        const report = {
+            add(rows) {
+                const readings = rows
+                    .map(row => ({ row: row, t: getRowTime(row) }))
+                    .filter(entry => entry.t !== null && entry.t >= period.from && entry.t < period.to)
+                    .sort((a, b) => a.t - b.t)
+                    .filter(entry => !previous || entry.t >= previous.t);
+                
+                const gap = getLoggingGap(readings.map(entry => entry.t), options.maxGap);
+                if (gap.interval !== null) intervals.push(gap.interval);
+                maxGap = Math.max(maxGap, gap.maxGap);
+                
+                readings.forEach(entry => {
+                    if (previous) {
+                        settle(previous, entry.t);
+                    } else {
+                        recordOutage(entry.t - period.from);
+                    }
+                    previous = entry;
+                });
+                return report;
+            },
+            
+            finish() {
+                if (previous) {
+                    settle(previous, end);
+                } else {
+                    recordOutage(end - period.from);
+                }
+                
+                return Object.assign(finish(total), {
+                    period: period,
+                    interval: intervals.length > 0 ? median(intervals) : null,
+                    maxGap: maxGap,
+                    outages: outages,
+                    longestOutage: longestOutage,
+                    buckets: buckets.map(finish)
+                });
+            }
+        };
+        
+        return report;
+    }
+
+    function computeReport(rows, period, options = {}) {
+        return createReport(period, options).add(rows).finish();
+    }
+
+    function createReportTotals(start, end) {
+        const values = {};
+        ['voltage', 'current', 'power', 'temperature', 'battery', 'temp_limit'].forEach(key => {
+            values[key] = { min: null, max: null, sum: 0, count: 0 };
+        });
+        
+        return {
+            start: start,
+            end: end,
+            readings: 0,
+            values: values,
+            aboveLimitMs: 0,
+            fanOnMs: 0,
+            fanKnownMs: 0,
+            onlineMs: 0
+        };
+    }
+
+    function addReportReading(totals, row, span) {
+        totals.readings++;
+        totals.onlineMs += span;
+        
+        ['voltage', 'current', 'temperature', 'battery', 'temp_limit'].forEach(key => addReportValue(totals.values[key], row[key]));
+        addReportValue(totals.values.power, getRowPower(row));
+        
+        if (typeof row.temperature === 'number' && typeof row.temp_limit === 'number' && row.temperature > row.temp_limit) {
+            totals.aboveLimitMs += span;
+        }
+        if (row.fan_status === 'ON' || row.fan_status === 'OFF') {
+            totals.fanKnownMs += span;
+            if (row.fan_status === 'ON') totals.fanOnMs += span;
+        }
+    }
+
+    function addReportValue(summary, value) {
+        if (typeof value !== 'number' || !isFinite(value)) return;
+        summary.min = summary.min === null ? value : Math.min(summary.min, value);
+        summary.max = summary.max === null ? value : Math.max(summary.max, value);
+        summary.sum += value;
+        summary.count++;
+    }
+
+    // ====== THERMAL ANALYTICS ======
+    // How the fan copes with the temperature limit over a range. Time above the
+    // limit is split into episodes, every OFF -> ON switch taken at or above the
+    // limit is an activation and time-to-cool runs from there until the pack is
+    // back at the limit. A gap longer than maxGap ends whatever was running, the
+    // monitor cannot know what happened while the ESP32 was silent.
+    // Like createReport, createThermal takes the readings in batches, oldest first.
+    function createThermal(options = {}) {
+        const now = options.now || Date.now();
+        const from = options.from || 0;
+        const to = options.to || now;
+        const end = Math.min(to, now);
+        
+        const days = {};
+        const getDay = time => {
+            const start = new Date(time).setHours(0, 0, 0, 0);
+            return days[start] || (days[start] = { switches: 0, activations: 0, cooled: 0, longestAboveMs: 0 });
+        };
+        
+        const intervals = [];
+        const episodes = [];
+        const coolTimes = [];
+        const coolingRates = [];
+        const onCycles = [];
+        let maxGap = options.maxGap || 0;
+        let readingCount = 0;
+        let switches = 0;
+        let activations = 0;
+        let coveredMs = 0;
+        let previous = null;
+        let onSince = null;
+        let above = null;
+        let activation = null;
+        
+        // Duty cycles come from the report maths, on whole hours and days
+        let hourly = null;
+        let daily = null;
+        
+        const closeAbove = () => {
+            if (!above) return;
+            const day = getDay(above.start);
+            day.longestAboveMs = Math.max(day.longestAboveMs, above.ms);
+            episodes.push(above.ms);
+            above = null;
+        };
+        
+        // Cooling rate is taken from the hottest reading of the activation to where it ended
+        const closeActivation = () => {
+            if (!activation) return;
+            if (activation.cooledAt !== null) {
+                coolTimes.push(activation.cooledAt - activation.start);
+                getDay(activation.start).cooled++;
+            }
+            if (activation.lastAt > activation.peakAt) {
+                coolingRates.push((activation.peak - activation.lastTemperature) / ((activation.lastAt - activation.peakAt) / 60000));
+            }
+            activation = null;
+        };
+        
+        // A reading's span is only known once the next one (or the end) is there
+        const settle = (reading, next) => {
+            const span = Math.max(0, Math.min(next - reading.t, maxGap));
+            coveredMs += span;
+            if (reading.known && reading.temperature > reading.limit) {
+                if (!above) above = { start: reading.t, ms: 0 };
+                above.ms += span;
+            } else {
+                closeAbove();
+            }
+        };
+        
+        const addReading = reading => {
+            if (previous) settle(previous, reading.t);
+            
+            if (previous && reading.t - previous.t > maxGap) {
+                closeAbove();
+                activation = null;
+                onSince = null;
+            } else if (previous && previous.fan && reading.fan && previous.fan !== reading.fan) {
+                switches++;
+                getDay(reading.t).switches++;
+                
+                if (reading.fan === 'ON') {
+                    onSince = reading.t;
+                    // The fan came on somewhere after the previous reading, which shows the heat when the pack
+                    // had already cooled by this one; switching on below the limit is manual control
+                    const hot = [reading, previous].find(item => item.known && item.temperature >= item.limit);
+                    if (hot) {
+                        activations++;
+                        getDay(reading.t).activations++;
+                        activation = { start: hot.t, peak: hot.temperature, peakAt: hot.t, lastAt: hot.t, lastTemperature: hot.temperature, cooledAt: null };
+                    }
+                } else {
+                    if (onSince !== null) onCycles.push(reading.t - onSince);
+                    onSince = null;
+                    closeActivation();
+                }
+            }
+            
+            if (activation && activation.cooledAt === null && reading.known) {
+                if (reading.temperature > activation.peak) {
+                    activation.peak = reading.temperature;
+                    activation.peakAt = reading.t;
+                }
+                activation.lastAt = reading.t;
+                activation.lastTemperature = reading.temperature;
+                if (reading.temperature <= reading.limit) activation.cooledAt = reading.t;
+            }
+            
+            previous = reading;
+        };
+        
+        const thermal = {
+            add(rows) {
+                const readings = rows
+                    .map(row => ({
+                        row: row,
+                        t: getRowTime(row),
+                        temperature: row.temperature,
+                        limit: row.temp_limit,
+                        fan: row.fan_status === 'ON' || row.fan_status === 'OFF' ? row.fan_status : null,
+                        known: typeof row.temperature === 'number' && typeof row.temp_limit === 'number'
+                    }))
+                    .filter(reading => reading.t !== null && reading.t >= from && reading.t < to)
+                    .sort((a, b) => a.t - b.t)
+                    .filter(reading => !previous || reading.t >= previous.t);
+                if (readings.length === 0) return thermal;
+                
+                const gap = getLoggingGap(readings.map(reading => reading.t), options.maxGap);
+                if (gap.interval !== null) intervals.push(gap.interval);
+                maxGap = Math.max(maxGap, gap.maxGap);
+                
+                if (!hourly) {
+                    const start = Math.max(from, readings[0].t);
+                    hourly = createReport({ type: 'thermal', from: new Date(start).setMinutes(0, 0, 0), to: to, bucket: 'hour' }, { maxGap: maxGap, now: now });
+                    daily = createReport({ type: 'thermal', from: new Date(start).setHours(0, 0, 0, 0), to: to, bucket: 'day' }, { maxGap: maxGap, now: now });
+                }
+                hourly.add(readings.map(reading => reading.row));
+                daily.add(readings.map(reading => reading.row));
+                
+                readingCount += readings.length;
+                readings.forEach(addReading);
+                return thermal;
+            },
+            
+            finish() {
+                if (previous) settle(previous, end);
+                closeAbove();
+                closeActivation();
+                
+                const hours = hourly ? hourly.finish().buckets : [];
+                const dayReport = daily ? daily.finish() : { fanDuty: null, buckets: [] };
+                
+                return {
+                    readings: readingCount,
+                    interval: intervals.length > 0 ? median(intervals) : null,
+                    maxGap: maxGap,
+                    coveredMs: coveredMs,
+                    fanDuty: dayReport.fanDuty,
+                    aboveLimitMs: episodes.reduce((sum, ms) => sum + ms, 0),
+                    longestAboveMs: episodes.reduce((max, ms) => Math.max(max, ms), 0),
+                    aboveEpisodes: episodes.length,
+                    switches: switches,
+                    switchesPerHour: coveredMs > 0 ? switches / (coveredMs / 3600000) : null,
+                    onCycle: summarizeValues(onCycles),
+                    activations: activations,
+                    cooled: coolTimes.length,
+                    timeToCool: Object.assign(summarizeValues(coolTimes), { median: coolTimes.length > 0 ? median(coolTimes) : null }),
+                    coolingRate: summarizeValues(coolingRates).avg,
+                    hours: hours.map(bucket => ({ start: bucket.start, fanDuty: bucket.fanDuty, aboveLimitMs: bucket.aboveLimitMs })),
+                    days: dayReport.buckets.map(bucket => Object.assign({
+                        start: bucket.start,
+                        readings: bucket.readings,
+                        fanDuty: bucket.fanDuty,
+                        aboveLimitMs: bucket.aboveLimitMs,
+                        temperature: bucket.metrics.temperature,
+                        tempLimit: bucket.metrics.temp_limit.max
+                    }, days[bucket.start] || { switches: 0, activations: 0, cooled: 0, longestAboveMs: 0 }))
+                };
+            }
+        };
+        
+        return thermal;
+    }
+
+    function computeThermal(rows, options = {}) {
+        return createThermal(options).add(rows).finish();
+    }
+
+    // ====== EXPORT FORMATS ======
+    // Column sets are { key, label, value(row), numeric }
+    const EXPORT_COLUMNS = [
+        { key: 'date', label: 'Date', value: item => item.date || '' },
+        { key: 'time', label: 'Time', value: item => item.time || '' },
+        { key: 'voltage', label: 'Voltage (V)', value: item => item.voltage, numeric: true },
+        { key: 'current', label: 'Current (A)', value: item => item.current, numeric: true },
+        { key: 'temperature', label: 'Temperature (°C)', value: item => item.temperature, numeric: true },
+        { key: 'battery', label: 'Battery (%)', value: item => item.battery, numeric: true },
+        { key: 'fan_status', label: 'Fan Status', value: item => item.fan_status || '' },
+        { key: 'temp_limit', label: 'Temp Limit (°C)', value: item => item.temp_limit, numeric: true },
+        { key: 'power', label: 'Power (W)', value: item => getRowPower(item) === null ? null : Math.round(getRowPower(item) * 100) / 100, numeric: true }
+    ];
+
+    function csvField(value) {
+        if (value === null || value === undefined) return '';
+        
+        const text = String(value);
+        if (/[",\r\n]/.test(text)) {
+            return '"' + text.replace(/"/g, '""') + '"';
+        }
+        return text;
+    }
+
+    function buildCsvExport(rows, columns = EXPORT_COLUMNS) {
+        const lines = [columns.map(column => csvField(column.label)).join(',')];
+        
+        rows.forEach(item => {
+            lines.push(columns.map(column => csvField(column.value(item))).join(','));
+        });
+        
+        // RFC 4180 uses CRLF; the BOM makes Excel read the file as UTF-8
+        return '\ufeff' + lines.join('\r\n') + '\r\n';
+    }
+
+    function buildJsonExport(rows, columns = EXPORT_COLUMNS) {
+        const records = rows.map(item => {
+            const record = {};
+            columns.forEach(column => {
+                const value = column.value(item);
+                record[column.key] = value === undefined ? null : value;
+            });
+            return record;
+        });
+        
+        return JSON.stringify(records, null, 2);
+    }
+
+    // ====== NETWORK ======
+    // The request is aborted on timeout as well; a fetch left running keeps Node (the CLI) alive
+    function fetchWithTimeout(url, timeout = DEFAULT_TIMEOUT, options = {}) {
+        const controller = new AbortController();
+        let timer = null;
+        
+        return Promise.race([
+            fetch(url, Object.assign({}, options, { signal: controller.signal })),
+            new Promise((_, reject) => {
+                timer = setTimeout(() => {
+                    reject(new Error('Request timeout'));
+                    controller.abort();
+                }, timeout);
+            })
+        ]).finally(() => clearTimeout(timer));
+    }
+
+    // Errors carry the HTTP status (error.status) so callers can react to a 401
+    async function requestJson(url, options = {}) {
+        const fetchOptions = Object.assign({}, options);
+        delete fetchOptions.timeout;
+        
+        const response = await fetchWithTimeout(url, options.timeout || DEFAULT_TIMEOUT, fetchOptions);
+        const text = await response.text();
+        
+        if (!response.ok) {
+            const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+            error.status = response.status;
+            error.body = text;
+            throw error;
+        }
+        
+        return JSON.parse(text);
+    }
+
+    // ====== APPS SCRIPT CLIENT ======
+    // endpoint, timeout and params may be values or functions, so a client can
+    // follow settings that change at runtime. params are sent with every request
+    // (device, token); request(url, timeout, options) replaces requestJson.
+    function createAppsScriptClient(options = {}) {
+        const read = value => typeof value === 'function' ? value() : value;
+        const request = options.request || ((url, timeout, fetchOptions) =>
+            requestJson(url, Object.assign({ timeout: timeout }, fetchOptions)));
+        
+        const client = {
+            buildUrl(action, params = {}) {
+                params = Object.assign({}, read(options.params), params);
+                
+                let url = read(options.endpoint) + '?action=' + encodeURIComponent(action);
+                for (const key in params) {
+                    if (params.hasOwnProperty(key) && params[key] !== undefined) {
+                        url += '&' + encodeURIComponent(key) + '=' + encodeURIComponent(params[key]);
+                    }
+                }
+                
+                // Cache buster, Apps Script responses are otherwise cached by the browser
+                return url + '&_=' + Date.now();
+            },
+            
+            call(action, params = {}) {
+                return request(client.buildUrl(action, params), read(options.timeout) || DEFAULT_TIMEOUT);
+            },
+            
+            test(params = {}) {
+                return client.call('test', params);
+            },
+            
+            getLatest(params = {}) {
+                return client.call('getLatest', params);
+            },
+            
+            getHistory(params = {}) {
+                return client.call('getHistory', params);
+            },
+            
+            async getDevices(params = {}) {
+                const response = await client.call('getDevices', params);
+                return response.status === 'success' ? response.data : [];
+            },
+            
+            sendCommand(command, params = {}) {
+                return client.call('setControl', Object.assign({ command: command.command, value: command.value }, params));
+            },
+            
+            // text/plain keeps the POST "simple", so Apps Script needs no CORS preflight
+            login(username, password) {
+                return request(read(options.endpoint), read(options.timeout) || DEFAULT_TIMEOUT, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+                    body: JSON.stringify({ action: 'login', username: username, password: password })
+                });
+            }
+        };
+        
+        return client;
+    }
+
+    // ====== CONNECTION MONITOR ======
+    // Tracks whether the server answers and whether the ESP32 behind it still
+    // reports. state is updated in place (online, espConnected,
+    // lastSuccessfulUpdate, timeSinceLastUpdate); settings are read on every call
+    // (espTimeout, refreshInterval, maxBackoffInterval, hiddenRefreshInterval).
+    function createConnectionMonitor(state, settings) {
+        const monitor = {
+            failures: 0,
+            
+            // Takes a getLatest response, true when it carried a reading
+            recordResponse(response, now = Date.now()) {
+                if (response.status !== 'success') {
+                    monitor.recordFailure();
+                    return false;
+                }
+                
+                state.lastSuccessfulUpdate = now;
+                state.online = true;
+                
+                if (!response.data) {
+                    state.espConnected = false;
+                    return false;
+                }
+                
+                if (response.esp_connected !== undefined) {
+                    state.espConnected = response.esp_connected;
+                }
+                if (response.time_since_last) {
+                    state.timeSinceLastUpdate = parseInt(response.time_since_last) || 0;
+                }
+                return true;
+            },
+            
+            recordFailure() {
+                state.online = false;
+                state.espConnected = false;
+            },
+            
+            // Called once per poll, counts the polls in a row that left the server offline
+            recordPoll() {
+                monitor.failures = state.online ? 0 : monitor.failures + 1;
+                return monitor.failures;
+            },
+            
+            // Failures are left alone, the poller resets them when it starts over
+            reset() {
+                state.online = false;
+                state.espConnected = false;
+                state.lastSuccessfulUpdate = null;
+                state.timeSinceLastUpdate = 0;
+            },
+            
+            tick(now = Date.now()) {
+                if (state.lastSuccessfulUpdate) {
+                    const timeSinceUpdate = now - state.lastSuccessfulUpdate;
+                    state.timeSinceLastUpdate = Math.floor(timeSinceUpdate / 1000);
+                    state.espConnected = timeSinceUpdate <= settings.espTimeout;
+                } else {
+                    state.espConnected = false;
+                }
+                return monitor.getStatus();
+            },
+            
+            // 'connected' | 'esp-timeout' | 'never-connected' | 'offline'
+            getStatus() {
+                if (!state.online) return 'offline';
+                if (state.espConnected) return 'connected';
+                return state.timeSinceLastUpdate > 0 ? 'esp-timeout' : 'never-connected';
+            },
+            
+            // null means do not poll (hidden page with hiddenRefreshInterval 0)
+            getPollDelay(hidden = false) {
+                let delay = settings.refreshInterval;
+                
+                // Exponential backoff with jitter while the server is down
+                if (monitor.failures > 0) {
+                    const backoff = Math.min(
+                        settings.refreshInterval * Math.pow(2, monitor.failures),
+                        settings.maxBackoffInterval
+                    );
+                    delay = backoff / 2 + Math.random() * backoff / 2;
+                }
+                
+                if (hidden) {
+                    if (!settings.hiddenRefreshInterval) return null;
+                    delay = Math.max(delay, settings.hiddenRefreshInterval);
+                }
+                
+                return delay;
+            }
+        };
+        
+        return monitor;
+    }
+
+    return {
+        READING_SCHEMA: READING_SCHEMA,
+        QUALITY_FLAGS: QUALITY_FLAGS,
+        BATTERY_CHEMISTRIES: BATTERY_CHEMISTRIES,
+        OCV_CURVES: OCV_CURVES,
+        DEFAULT_BATTERY_PROFILE: DEFAULT_BATTERY_PROFILE,
+        ALARM_METRICS: ALARM_METRICS,
+        DEFAULT_ALARM_RULES: DEFAULT_ALARM_RULES,
+        HISTORY_FIELDS: HISTORY_FIELDS,
+        
+        normalizeReading: normalizeReading,
+        parseCsv: parseCsv,
+        validateReading: validateReading,
+        validateHistoryRows: validateHistoryRows,
+        getRowTime: getRowTime,
+        getRowPower: getRowPower,
+        getTempMargin: getTempMargin,
+        getChargeState: getChargeState,
+        annotateHistoryRows: annotateHistoryRows,
+        
+        paginateRows: paginateRows,
+        hasHistoryFilters: hasHistoryFilters,
+        buildHistoryFilterParams: buildHistoryFilterParams,
+        parseHistoryFilterParams: parseHistoryFilterParams,
+        applyHistoryFilters: applyHistoryFilters,
+        sortHistoryRows: sortHistoryRows,
+        queryHistoryRows: queryHistoryRows,
+        fetchAllHistoryRows: fetchAllHistoryRows,
+        walkHistoryByDay: walkHistoryByDay,
+        
+        getOcvSoc: getOcvSoc,
+        computeHealth: computeHealth,
+        getDefaultAlarmRules: getDefaultAlarmRules,
+        getAlarmLevel: getAlarmLevel,
+        alarmLevelRank: alarmLevelRank,
+        getReadingAlarmLevel: getReadingAlarmLevel,
+        
+        getReportPeriod: getReportPeriod,
+        createReport: createReport,
+        computeReport: computeReport,
+        createThermal: createThermal,
+        computeThermal: computeThermal,
+        
+        EXPORT_COLUMNS: EXPORT_COLUMNS,
+        buildCsvExport: buildCsvExport,
+        buildJsonExport: buildJsonExport,
+        
+        fetchWithTimeout: fetchWithTimeout,
+        requestJson: requestJson,
+        createAppsScriptClient: createAppsScriptClient,
+        createConnectionMonitor: createConnectionMonitor
+    };
+});
@@ -0,0 +1,512 @@
+// ====== MOCK BACKEND ======
+// Local stand-in for the Apps Script web app, so the dashboard (login, roles,
+// control commands, audit trail, error handling) can be developed without
+// Google Sheets, an ESP32 or a network connection.
+//
+//   node mock-server.js
+//   open http://localhost:8080/index.html?api=http://localhost:8080/exec
+//
+// Users: operator / operator and viewer / viewer.
+//
+// Readings come from a built-in simulator, or from an ESP32 (or curl) posting
+// to the same URL the firmware uses for Apps Script:
+//
+//   curl -X POST http://localhost:8080/exec -d '{"device_id":"default","voltage":25.9,"current":2.1,"temperature":31,"battery":76}'
+//
+// The answer lists the control commands waiting for that device. A device that
+// posts its own readings is no longer simulated.
+//
+// Faults for the dashboard's error paths are set with environment variables or
+// at runtime through /faults (GET shows them, query parameters change them):
+//
+//   curl 'http://localhost:8080/faults?delay=3000&error=0.2&actions=getLatest'
+//   curl 'http://localhost:8080/faults?reset=1'
+//
+//   delay       milliseconds added to every response
+//   error       share of requests answered with HTTP 500 (0-1)
+//   malformed   share of requests answered with broken JSON (0-1)
+//   null        share of getLatest answers with data: null (0-1)
+//   actions     only affect these actions, e.g. getLatest+getHistory
+//
+// Environment variables:
+//   PORT             port to listen on (default 8080)
+//   MOCK_AUTH=0      accept requests without a token
+//   MOCK_SIMULATE=0  no simulated device, only posted readings
+//   MOCK_DATA        file the readings and audit trail are kept in (default mock-data.json)
+//   MOCK_FAULTS      initial faults, e.g. "delay=2000,error=0.1,null=0.2"
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const BatteryCore = require('./core.js');
+
+const CONFIG = {
+    port: parseInt(process.env.PORT) || 8080,
+    requireAuth: process.env.MOCK_AUTH !== '0',
+    simulate: process.env.MOCK_SIMULATE !== '0',
+    dataFile: path.resolve(__dirname, process.env.MOCK_DATA || 'mock-data.json'),
+    saveInterval: 5000,
+    tokenLifetime: 8 * 3600,
+    readingInterval: 2000,
+    espTimeout: 60,
+    historyLimit: 5000,
+    root: __dirname
+};
+
+const USERS = {
+    operator: { password: 'operator', role: 'operator' },
+    viewer: { password: 'viewer', role: 'viewer' }
+};
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon'
+};
+
+// The dashboard itself, nothing else in the folder (.git, the data file) is served
+const STATIC_FILES = ['index.html', 'style.css', 'script.js', 'core.js', 'favicon.ico', 'punix logo 2 .png'];
+
+// ====== STATE ======
+// No prototype, so ids like "constructor" or "__proto__" are just ids
+const sessions = Object.create(null);
+let devices = Object.create(null);
+let audit = [];
+let dirty = false;
+
+const faults = parseFaults(process.env.MOCK_FAULTS || '');
+
+function getDevice(id = 'default') {
+    if (!devices[id]) {
+        devices[id] = {
+            id: id,
+            external: false,
+            voltage: 26.0,
+            current: 2.0,
+            temperature: 30.0,
+            battery: 80.0,
+            tempLimit: 45.0,
+            fanMode: 'AUTO',
+            pending: [],
+            history: []
+        };
+    }
+    return devices[id];
+}
+
+function addReading(device, reading) {
+    device.history.push(reading);
+    if (device.history.length > CONFIG.historyLimit) {
+        device.history.shift();
+    }
+    dirty = true;
+}
+
+// ====== PERSISTENCE ======
+function loadData() {
+    let saved;
+    try {
+        saved = JSON.parse(fs.readFileSync(CONFIG.dataFile, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn(`⚠️ Ignoring unreadable ${CONFIG.dataFile}: ${error.message}`);
+        }
+        return;
+    }
+    
+    Object.values(saved.devices || {}).forEach(device => {
+        devices[device.id] = Object.assign(getDevice(device.id), device, { pending: [] });
+    });
+    audit = saved.audit || [];
+    
+    const readings = Object.values(devices).reduce((sum, device) => sum + device.history.length, 0);
+    console.log(`📂 Loaded ${readings} readings from ${CONFIG.dataFile}`);
+}
+
+function saveData() {
+    if (!dirty) return;
+    dirty = false;
+    
+    // Write to a temp file first so a crash never leaves half a JSON file behind
+    const temp = CONFIG.dataFile + '.tmp';
+    fs.writeFile(temp, JSON.stringify({ devices: devices, audit: audit.slice(0, 1000) }), error => {
+        if (error) {
+            console.error('❌ Cannot save mock data:', error.message);
+            return;
+        }
+        fs.rename(temp, CONFIG.dataFile, renameError => {
+            if (renameError) console.error('❌ Cannot save mock data:', renameError.message);
+        });
+    });
+}
+
+// On shutdown, a separate temp file so a save still in flight cannot take it away
+function saveDataSync() {
+    const temp = CONFIG.dataFile + '.exit.tmp';
+    try {
+        fs.writeFileSync(temp, JSON.stringify({ devices: devices, audit: audit.slice(0, 1000) }));
+        fs.renameSync(temp, CONFIG.dataFile);
+    } catch (error) {
+        console.error('❌ Cannot save mock data:', error.message);
+    }
+}
+
+// ====== SIMULATION ======
+function simulate(device) {
+    // Commands take effect one reading later, like the real firmware
+    device.pending.splice(0).forEach(command => applyCommand(device, command));
+    
+    // Alternate between load steps and charging so every panel has something to show
+    const phase = Math.floor(Date.now() / 60000) % 10;
+    const load = phase < 6 ? (phase % 2 ? 6 : 2) : -4;
+    device.current += (load - device.current) * 0.5 + (Math.random() - 0.5) * 0.2;
+    device.battery = Math.min(Math.max(device.battery - device.current * 0.01, 0), 100);
+    device.voltage = 21 + device.battery / 100 * 8.4 - device.current * 0.05;
+    
+    const fanOn = device.fanMode === 'ON' || (device.fanMode === 'AUTO' && device.temperature > device.tempLimit);
+    device.temperature += (Math.abs(device.current) * 0.4 + 25 - device.temperature) * 0.05 - (fanOn ? 0.2 : 0);
+    
+    const now = new Date();
+    addReading(device, {
+        device_id: device.id,
+        timestamp: now.toISOString(),
+        date: now.toISOString().slice(0, 10),
+        time: now.toISOString().slice(11, 19),
+        voltage: round(device.voltage, 2),
+        current: round(device.current, 2),
+        temperature: round(device.temperature, 1),
+        battery: round(device.battery, 1),
+        remaining_time: device.current > 0 ? Math.floor(device.battery / 100 * 20 / device.current) : 0,
+        temp_limit: device.tempLimit,
+        fan_status: fanOn ? 'ON' : 'OFF',
+        fan_mode: device.fanMode
+    });
+}
+
+function applyCommand(device, command) {
+    if (command.command === 'setTempLimit') device.tempLimit = command.value;
+    if (command.command === 'setFanMode') device.fanMode = command.value;
+}
+
+function round(value, digits) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+// ====== INGEST ======
+// Values are stored as sent, so a misbehaving sensor shows up in the dashboard as-is
+function ingest(params) {
+    const device = getDevice(String(params.device_id || params.device || 'default'));
+    const now = new Date();
+    const reading = Object.assign({}, params);
+    delete reading.action;
+    delete reading.device;
+    delete reading.token;
+    
+    reading.device_id = device.id;
+    reading.timestamp = reading.timestamp || now.toISOString();
+    reading.date = reading.date || String(reading.timestamp).slice(0, 10);
+    reading.time = reading.time || String(reading.timestamp).slice(11, 19);
+    
+    device.external = true;
+    addReading(device, reading);
+    
+    // The firmware confirms settings by reporting them in its next reading
+    if (reading.temp_limit !== undefined) device.tempLimit = parseFloat(reading.temp_limit);
+    if (reading.fan_mode !== undefined) device.fanMode = String(reading.fan_mode).toUpperCase();
+    
+    const commands = device.pending.splice(0);
+    console.log(`📥 Reading from ${device.id}${commands.length ? `, sent ${commands.length} command(s)` : ''}`);
+    
+    return { status: 'success', message: 'Reading stored', commands: commands };
+}
+
+// ====== FAULTS ======
+function parseFaults(text) {
+    const result = { delay: 0, error: 0, malformed: 0, null: 0, actions: null };
+    text.split(',').filter(Boolean).forEach(pair => {
+        const [key, value] = pair.split('=');
+        setFault(result, key.trim(), (value || '').trim());
+    });
+    return result;
+}
+
+function setFault(target, key, value) {
+    if (key === 'actions') {
+        target.actions = value ? value.split(/[+ ]/).filter(Boolean) : null;
+    } else if (key === 'delay') {
+        target.delay = Math.max(parseInt(value) || 0, 0);
+    } else if (key in target) {
+        target[key] = Math.min(Math.max(parseFloat(value) || 0, 0), 1);
+    }
+}
+
+function handleFaults(url) {
+    if (url.searchParams.get('reset') === '1') {
+        Object.assign(faults, parseFaults(''));
+    }
+    url.searchParams.forEach((value, key) => setFault(faults, key, value));
+    
+    console.log('🧨 Faults:', JSON.stringify(faults));
+    return { status: 'success', faults: faults };
+}
+
+function pickFault(action) {
+    if (faults.actions && !faults.actions.includes(action)) return null;
+    if (Math.random() < faults.error) return 'error';
+    if (Math.random() < faults.malformed) return 'malformed';
+    if (action === 'getLatest' && Math.random() < faults.null) return 'null';
+    return null;
+}
+
+// ====== AUTH ======
+function login(username, password) {
+    const user = Object.prototype.hasOwnProperty.call(USERS, username) ? USERS[username] : null;
+    if (!user || user.password !== password) {
+        return { status: 'error', message: 'Invalid username or password' };
+    }
+    
+    const token = crypto.randomBytes(24).toString('hex');
+    sessions[token] = { name: username, role: user.role, expiresAt: Date.now() + CONFIG.tokenLifetime * 1000 };
+    console.log(`🔑 ${username} logged in (${user.role})`);
+    
+    return {
+        status: 'success',
+        token: token,
+        user: { name: username, role: user.role },
+        expires_in: CONFIG.tokenLifetime
+    };
+}
+
+function getSession(token) {
+    const session = sessions[token];
+    if (session && session.expiresAt < Date.now()) {
+        delete sessions[token];
+        return null;
+    }
+    return session || null;
+}
+
+// ====== ACTIONS ======
+function handleAction(action, params, session) {
+    const device = getDevice(params.device || 'default');
+    
+    switch (action) {
+        case 'test':
+            return { status: 'success', message: 'Mock backend is running', auth: CONFIG.requireAuth };
+        
+        case 'getLatest': {
+            const latest = device.history[device.history.length - 1] || null;
+            const age = latest ? Math.max(Math.floor((Date.now() - Date.parse(latest.timestamp)) / 1000), 0) : 0;
+            return {
+                status: 'success',
+                data: latest,
+                esp_connected: !!latest && age <= CONFIG.espTimeout,
+                time_since_last: age
+            };
+        }
+        
+        // Filters and sorts like the static and demo adapters, and echoes both back
+        case 'getHistory':
+            return BatteryCore.queryHistoryRows(device.history, Object.assign({}, params, {
+                page: Math.max(parseInt(params.page) || 1, 1),
+                limit: Math.max(parseInt(params.limit) || 15, 1)
+            }));
+        
+        case 'getDevices':
+            return { status: 'success', data: Object.keys(devices).map(id => ({ id: id, name: id })) };
+        
+        case 'setControl':
+            return setControl(device, params, session);
+        
+        case 'getAudit':
+            return { status: 'success', data: audit.slice(0, 200) };
+        
+        default:
+            return { status: 'error', message: 'Unknown action: ' + action };
+    }
+}
+
+function setControl(device, params, session) {
+    const entry = {
+        timestamp: new Date().toISOString(),
+        user: session ? session.name : 'anonymous',
+        role: session ? session.role : '-',
+        device: device.id,
+        command: params.command,
+        value: params.value
+    };
+    
+    let result;
+    if (CONFIG.requireAuth && (!session || session.role !== 'operator')) {
+        result = { status: 'error', code: 'forbidden', message: 'Operator role required' };
+    } else if (params.command === 'setTempLimit') {
+        const value = parseFloat(params.value);
+        result = value >= 20 && value <= 60
+            ? { status: 'success', message: 'Queued' }
+            : { status: 'error', message: 'Temperature limit out of range' };
+        if (result.status === 'success') device.pending.push({ command: params.command, value: value });
+    } else if (params.command === 'setFanMode') {
+        result = ['AUTO', 'ON', 'OFF'].includes(params.value)
+            ? { status: 'success', message: 'Queued' }
+            : { status: 'error', message: 'Unknown fan mode' };
+        if (result.status === 'success') device.pending.push({ command: params.command, value: params.value });
+    } else {
+        result = { status: 'error', message: 'Unknown command' };
+    }
+    
+    entry.result = result.status;
+    audit.unshift(entry);
+    dirty = true;
+    console.log(`📝 ${entry.user} ${entry.command}=${entry.value} on ${entry.device}: ${result.status}`);
+    
+    return result;
+}
+
+// ====== HTTP ======
+function sendJson(res, body, statusCode = 200) {
+    res.writeHead(statusCode, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+function sendWithFaults(res, action, body) {
+    const fault = pickFault(action);
+    if (fault) {
+        console.log(`🧨 ${action}: injected ${fault}`);
+    }
+    
+    setTimeout(() => {
+        if (fault === 'error') {
+            sendJson(res, { status: 'error', message: 'Injected server error' }, 500);
+        } else if (fault === 'malformed') {
+            sendJson(res, JSON.stringify(body).slice(0, 40));
+        } else if (fault === 'null') {
+            sendJson(res, Object.assign({}, body, { data: null }));
+        } else {
+            sendJson(res, body);
+        }
+    }, faults.delay && (!faults.actions || faults.actions.includes(action)) ? faults.delay : 0);
+}
+
+function serveFile(res, pathname) {
+    let name;
+    try {
+        name = decodeURIComponent(pathname === '/' ? '/index.html' : pathname).slice(1);
+    } catch (error) {
+        name = null;
+    }
+    
+    if (!STATIC_FILES.includes(name)) {
+        res.writeHead(404);
+        res.end('Not found');
+        return;
+    }
+    
+    const file = path.join(CONFIG.root, name);
+    fs.readFile(file, (error, content) => {
+        if (error) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+// Apps Script gets JSON as text/plain; the firmware may also send a plain form
+function readBody(req) {
+    return new Promise((resolve) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(body || '{}'));
+            } catch (error) {
+                resolve(Object.fromEntries(new URLSearchParams(body)));
+            }
+        });
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    try {
+        await handleRequest(req, res);
+    } catch (error) {
+        console.error('❌ Request failed:', error);
+        if (!res.headersSent) {
+            sendJson(res, { status: 'error', message: 'Internal server error' }, 500);
+        } else {
+            res.end();
+        }
+    }
+});
+
+async function handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    
+    if (url.pathname === '/faults') {
+        sendJson(res, handleFaults(url));
+        return;
+    }
+    
+    if (url.pathname !== '/exec') {
+        serveFile(res, url.pathname);
+        return;
+    }
+    
+    // Apps Script style: GET ?action=... for the dashboard, POST for login and readings
+    const params = req.method === 'POST' ? await readBody(req) : Object.fromEntries(url.searchParams);
+    const action = params.action;
+    
+    if (action === 'login') {
+        sendJson(res, login(params.username, params.password));
+        return;
+    }
+    
+    if (action === 'addReading' || (req.method === 'POST' && !action)) {
+        sendJson(res, ingest(params));
+        return;
+    }
+    
+    const session = getSession(params.token);
+    if (CONFIG.requireAuth && !session) {
+        sendWithFaults(res, action, { status: 'error', code: 'unauthorized', message: 'Login required' });
+        return;
+    }
+    
+    sendWithFaults(res, action, handleAction(action, params, session));
+}
+
+// ====== START ======
+loadData();
+
+if (CONFIG.simulate) {
+    getDevice('default');
+    const tick = () => Object.values(devices).filter(device => !device.external).forEach(simulate);
+    setInterval(tick, CONFIG.readingInterval);
+    tick();
+}
+
+setInterval(saveData, CONFIG.saveInterval);
+['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => {
+    saveDataSync();
+    process.exit(0);
+}));
+
+server.listen(CONFIG.port, () => {
+    console.log(`🚀 Mock backend on http://localhost:${CONFIG.port}/exec`);
+    console.log(`📊 Dashboard: http://localhost:${CONFIG.port}/index.html?api=http://localhost:${CONFIG.port}/exec`);
+    console.log(`🔑 Auth ${CONFIG.requireAuth ? 'required (operator/operator, viewer/viewer)' : 'disabled'}`);
+    console.log(`💾 Data kept in ${CONFIG.dataFile}`);
+    if (faults.delay || faults.error || faults.malformed || faults.null) {
+        console.log('🧨 Faults:', JSON.stringify(faults));
+    }
+});
@@ -1,9 +1,24 @@
 // ====== SYSTEM CONFIGURATION ======
 const CONFIG = {
     apiEndpoint: "https://script.google.com/macros/s/AKfycbwzL42zeBad2lZh5S3NzQwQiiURV0xdpbrZcbKaK_X6ZnIzX3tAQ8IY_k_gGHjw9ylqsQ/exec",
+    localEndpoint: "http://192.168.4.1",
+    staticFileUrl: "data/readings.json",
+    dataSource: "appsScript",
+    devices: [],
+    defaultDeviceId: "default",
+    fleetRefreshInterval: 10000,
+    pushMode: "off",
+    pushUrl: "",
     refreshInterval: 2000,
+    maxBackoffInterval: 60000,
+    hiddenRefreshInterval: 30000, // 0 pauses polling while the tab is hidden
+    requestTimeout: 10000,
     historyPageSize: 15,
-    espTimeout: 15000
+    readingRetentionDays: 7,
+    chartMaxPoints: 1000,
+    espTimeout: 15000,
+    requireLogin: false, // true hides the dashboard until an operator or viewer logs in
+    anonymousFullAccess: false // true lets anyone who has not logged in control the system and export
 };
 
 // ====== APPLICATION STATE ======
@@ -14,6 +29,7 @@ let appState = {
     battery: 0.0,
     remainingTime: 0,
     fanStatus: "OFF",
+    fanMode: null,
     tempLimit: 45.0,
     power: 0.0,
     
@@ -22,6 +38,10 @@ let appState = {
     lastUpdate: null,
     timeSinceLastUpdate: 0,
     lastSuccessfulUpdate: null,
+    quality: {
+        flags: {},
+        stale: false
+    },
     
     history: {
         data: [],
@@ -29,7 +49,10 @@ let appState = {
             page: 1,
             totalPages: 1,
             totalRecords: 0
-        }
+        },
+        filters: {},
+        sort: null,
+        clientRows: null
     },
     
     chartData: {
@@ -43,9 +66,276 @@ let appState = {
     }
 };
 
+// ====== MONITORING CORE ======
+// Readings, history paging, the API client, connection state and derived
+// metrics live in core.js so the Node CLI can share them
+const {
+    QUALITY_FLAGS, BATTERY_CHEMISTRIES, DEFAULT_BATTERY_PROFILE, ALARM_METRICS, HISTORY_FIELDS,
+    normalizeReading, parseCsv, validateReading, validateHistoryRows,
+    getRowTime, getRowPower, getTempMargin, getChargeState, annotateHistoryRows,
+    paginateRows, hasHistoryFilters, buildHistoryFilterParams, applyHistoryFilters, sortHistoryRows, queryHistoryRows,
+    getOcvSoc, computeHealth, getReportPeriod, createReport, createThermal, getDefaultAlarmRules, getAlarmLevel, alarmLevelRank, getReadingAlarmLevel,
+    EXPORT_COLUMNS, buildCsvExport, buildJsonExport,
+    fetchWithTimeout, createAppsScriptClient, createConnectionMonitor
+} = BatteryCore;
+
+// ====== DATA QUALITY STATE ======
+// Reading field -> card value element that shows its flag
+const QUALITY_CARD_FIELDS = {
+    voltage: 'voltage-value',
+    current: 'current-value',
+    temperature: 'temperature-value',
+    battery: 'battery-value',
+    remaining_time: 'remaining-time',
+    temp_limit: 'temp-limit-value',
+    fan_status: 'fan-status'
+};
+
+let dataQuality = {
+    checked: 0,
+    flagged: 0,
+    counts: { missing: 0, invalid: 0, range: 0, stale: 0 },
+    lastTimestamp: null
+};
+
+// ====== HISTORY TABLE COLUMNS ======
+// Positive current is drawn by the load (discharge), negative current charges the pack
+const HISTORY_COLUMNS = [
+    { key: 'date', label: 'DATE', icon: 'far fa-calendar', visible: true, value: HISTORY_FIELDS.date, render: item => item.date || '--' },
+    { key: 'time', label: 'TIME', icon: 'far fa-clock', visible: true, value: HISTORY_FIELDS.time, render: item => item.time || '--' },
+    { key: 'voltage', label: 'VOLTAGE', icon: 'fas fa-bolt', visible: true, value: HISTORY_FIELDS.voltage, render: item => formatHistoryValue(item, 'voltage', 1, 'V') },
+    { key: 'current', label: 'CURRENT', icon: 'fas fa-tachometer-alt', visible: true, value: HISTORY_FIELDS.current, render: item => formatHistoryValue(item, 'current', 1, 'A') },
+    { key: 'temperature', label: 'TEMPERATURE', icon: 'fas fa-thermometer-half', visible: true, value: HISTORY_FIELDS.temperature, render: item => formatHistoryValue(item, 'temperature', 1, '°C') },
+    { key: 'battery', label: 'BATTERY', icon: 'fas fa-battery-half', visible: true, value: HISTORY_FIELDS.battery, render: item => formatHistoryValue(item, 'battery', 1, '%') },
+    { key: 'fan_status', label: 'FAN', icon: 'fas fa-fan', visible: true, value: HISTORY_FIELDS.fan_status, render: item => item._flags && item._flags.fan_status ? formatHistoryValue(item, 'fan_status') : `<span class="fan-status ${(item.fan_status || 'OFF') === 'ON' ? 'fan-on' : 'fan-off'}">${item.fan_status || '--'}</span>` },
+    { key: 'temp_limit', label: 'TEMP LIMIT', icon: 'fas fa-temperature-high', visible: true, value: HISTORY_FIELDS.temp_limit, render: item => formatHistoryValue(item, 'temp_limit', 1, '°C') },
+    { key: 'power', label: 'POWER', icon: 'fas fa-calculator', visible: true, derived: true, value: HISTORY_FIELDS.power, render: item => `${formatReadingValue(getRowPower(item))} W` },
+    { key: 'energy', label: 'ENERGY', icon: 'fas fa-plug', visible: false, derived: true, value: HISTORY_FIELDS.energy, render: item => item._energy === null || item._energy === undefined ? '--' : `${item._energy.toFixed(2)} Wh` },
+    { key: 'temp_margin', label: 'TEMP - LIMIT', icon: 'fas fa-balance-scale', visible: false, derived: true, value: HISTORY_FIELDS.temp_margin, render: item => formatTempMargin(item) },
+    { key: 'charge_state', label: 'STATE', icon: 'fas fa-exchange-alt', visible: false, derived: true, value: HISTORY_FIELDS.charge_state, render: item => typeof item.current !== 'number' ? '--' : `<span class="charge-state ${getChargeState(item.current).toLowerCase()}">${getChargeState(item.current)}</span>` }
+];
+
+let columnLayout = [];
+
+// ====== FLEET STATE ======
+let fleet = {
+    devices: [],
+    activeId: CONFIG.defaultDeviceId,
+    states: {},
+    timer: null,
+    polling: false
+};
+
 // ====== CHART INSTANCE ======
 let trendChart = null;
 
+// ====== CHART RANGE STATE ======
+const CHART_RANGES = {
+    '5m': 5 * 60000,
+    '1h': 3600000,
+    '6h': 6 * 3600000,
+    '24h': 24 * 3600000,
+    '7d': 7 * 24 * 3600000
+};
+
+let chartView = {
+    range: 'live',
+    from: null,
+    to: null,
+    series: null,
+    loadId: 0
+};
+
+// ====== POLLING SCHEDULER STATE ======
+let pollScheduler = {
+    running: false,
+    inFlight: false,
+    timer: null,
+    nextAt: null,
+    lastPollAt: null
+};
+
+// Server / ESP32 reachability, backs the header indicators and the poll backoff
+const connectionMonitor = createConnectionMonitor(appState, CONFIG);
+
+// ====== BATTERY PROFILE ======
+let batteryProfile = Object.assign({}, DEFAULT_BATTERY_PROFILE);
+
+// ====== SOC ESTIMATOR STATE ======
+const SOC_REST_MINUTES = 10;
+const SOC_CURRENT_TAU = 60;
+const SOC_MAX_GAP = 5 * 60 * 1000;
+
+let socEstimator = {
+    soc: null,
+    lastAt: null,
+    restSince: null,
+    currentAvg: null,
+    drift: false
+};
+
+// ====== ENERGY STATE ======
+const ENERGY_SESSION_END_SECONDS = 60;
+const ENERGY_MAX_SESSIONS = 500;
+const ENERGY_MAX_DAYS = 400;
+
+let energyState = {
+    totals: null,
+    days: {},
+    sessions: [],
+    session: null,
+    lastAt: null,
+    savedAt: 0
+};
+
+// ====== HEALTH STATE ======
+let healthState = {
+    running: false,
+    result: null,
+    sohChart: null,
+    dodChart: null
+};
+
+// ====== THERMAL STATE ======
+// Short-cycling above this many fan switches per hour is worth flagging
+const THERMAL_MAX_SWITCHES_PER_HOUR = 6;
+
+let thermalState = {
+    running: false,
+    result: null,
+    dutyChart: null,
+    marginChart: null,
+    live: { fan: null, fanSince: null, aboveSince: null, switches: 0 }
+};
+
+// ====== REPORT STATE ======
+const REPORT_TITLES = { day: 'Daily', week: 'Weekly', month: 'Monthly' };
+
+let reportState = {
+    running: false,
+    result: null,
+    device: null,
+    generatedAt: null,
+    tempChart: null,
+    dutyChart: null
+};
+
+// ====== DEMO SIMULATOR STATE ======
+const DEMO_DEVICES = [
+    { id: CONFIG.defaultDeviceId, name: 'Demo Pack A' },
+    { id: 'demo-b', name: 'Demo Pack B' }
+];
+const DEMO_HISTORY_HOURS = 48;
+const DEMO_STEP_SECONDS = 60;
+const DEMO_MAX_ROWS = 5000;
+const DEMO_REST_MINUTES = 20;
+const DEMO_THERMAL_SECONDS = 240;
+const DEMO_PACK_RESISTANCE = 0.08;
+const DEMO_DROPOUT_CHANCE = 1 / 150;
+
+// ====== ENDPOINT PROFILES ======
+// Settings a profile may override; everything else in CONFIG stays global
+const PROFILE_FIELDS = ['apiEndpoint', 'localEndpoint', 'requestTimeout', 'historyPageSize', 'espTimeout'];
+
+const BUILTIN_PROFILE = Object.assign({ id: 'default', name: 'Default', builtIn: true },
+    ...PROFILE_FIELDS.map(field => ({ [field]: CONFIG[field] })));
+
+let endpointProfiles = {
+    list: [],
+    activeId: 'default'
+};
+
+// ====== AUTH STATE ======
+const ROLE_PERMISSIONS = {
+    viewer: { control: false, export: false },
+    operator: { control: true, export: true }
+};
+
+let authState = {
+    token: null,
+    user: null,
+    role: null,
+    expiresAt: null
+};
+
+// Set when ?api= points at another backend: the saved session must not travel there
+let sessionlessApi = false;
+
+let auditLog = [];
+
+// ====== CONTROL STATE ======
+const FAN_MODES = ['AUTO', 'ON', 'OFF'];
+const CONTROL_CONFIRM_TIMEOUT = 30000;
+
+// One slot per setting: { value, status: 'pending' | 'applied' | 'failed', sentAt, acceptedAt, readingBefore, message, timer }
+let controlState = {
+    tempLimit: null,
+    fanMode: null
+};
+
+// Device time of the newest reading; a command is confirmed by a reading newer than the one before it
+let lastReadingAt = null;
+
+// ====== ALARM STATE ======
+let alarmState = {
+    rules: [],
+    active: {},
+    pending: {},
+    log: []
+};
+
+// ====== NOTIFICATION STATE ======
+const CRITICAL_CONDITIONS = [
+    {
+        id: 'over-temperature',
+        label: 'Over-temperature',
+        isActive: () => isAlarmCritical('temperature-high') || getTempMargin({ temperature: appState.temperature, temp_limit: appState.tempLimit }) > 5,
+        describe: () => `Battery at ${formatReadingValue(appState.temperature)} °C (limit ${formatReadingValue(appState.tempLimit)} °C)`
+    },
+    {
+        id: 'under-voltage',
+        label: 'Under-voltage',
+        isActive: () => isAlarmCritical('voltage-low'),
+        describe: () => `Pack voltage dropped to ${formatReadingValue(appState.voltage)} V`
+    },
+    {
+        id: 'low-battery',
+        label: 'Low battery',
+        isActive: () => isAlarmCritical('battery-low'),
+        describe: () => `Remaining capacity ${formatReadingValue(appState.battery)} %`
+    },
+    {
+        id: 'esp-timeout',
+        label: 'ESP32 timeout',
+        isActive: () => !!appState.lastSuccessfulUpdate && !appState.espConnected,
+        describe: () => `No data from the ESP32 for ${appState.timeSinceLastUpdate}s`
+    }
+];
+
+let notifyState = {
+    enabled: false,
+    sound: false,
+    muted: {},
+    snoozedUntil: {},
+    active: {},
+    audioContext: null,
+    lastToneAt: 0
+};
+
+// ====== READING STORE STATE ======
+let readingStore = {
+    db: null,
+    pruneTimer: null
+};
+
+// ====== LIVE STREAM STATE ======
+let liveStream = {
+    transport: 'polling',
+    connection: null,
+    retryTimer: null,
+    retryDelay: 5000
+};
+
 // ====== APPLICATION INITIALIZATION ======
 document.addEventListener('DOMContentLoaded', function() {
     console.log('🚀 Starting Monitoring System...');
@@ -53,12 +343,28 @@ document.addEventListener('DOMContentLoaded', function() {
     updateCurrentTime();
     setInterval(updateCurrentTime, 1000);
     
+    restoreDataSource();
+    restoreAuth();
+    restoreActiveDevice();
+    restorePushMode();
+    loadBatteryProfile();
+    loadEnergyState();
+    loadAlarmConfig();
+    loadNotificationPrefs();
+    restoreRetention();
+    loadColumnLayout();
+    loadAuditLog();
     setupEventListeners();
     initializeChart();
     createTimeoutDisplay();
+    createTransportDisplay();
     
+    openReadingStore().then(rehydrateChart);
     loadInitialData();
     startDataPolling();
+    startLiveStream();
+    startRefreshCountdown();
+    loadDevices().then(startFleetPolling);
     startUptimeCounter();
     startTimeoutChecker();
     
@@ -87,20 +393,9 @@ function createTimeoutDisplay() {
 // ====== START TIMEOUT CHECKER ======
 function startTimeoutChecker() {
     setInterval(() => {
-        if (appState.lastSuccessfulUpdate) {
-            const timeSinceUpdate = Date.now() - appState.lastSuccessfulUpdate;
-            appState.timeSinceLastUpdate = Math.floor(timeSinceUpdate / 1000);
-            
-            if (timeSinceUpdate > CONFIG.espTimeout) {
-                appState.espConnected = false;
-            } else {
-                appState.espConnected = true;
-            }
-        } else {
-            appState.espConnected = false;
-        }
-        
+        connectionMonitor.tick();
         updateTimeoutDisplay();
+        evaluateCriticalConditions();
     }, 1000);
 }
 
@@ -109,11 +404,13 @@ function updateTimeoutDisplay() {
     const timeoutElement = document.getElementById('timeout-display');
     if (!timeoutElement) return;
     
-    if (appState.espConnected && appState.online) {
+    const status = connectionMonitor.getStatus();
+    
+    if (status === 'connected') {
         timeoutElement.innerHTML = `<i class="fas fa-check-circle"></i> ESP32 Connected (${appState.timeSinceLastUpdate}s ago)`;
         timeoutElement.className = 'timeout-indicator connected';
-    } else if (appState.online && !appState.espConnected) {
-        if (appState.timeSinceLastUpdate > 0) {
+    } else if (status !== 'offline') {
+        if (status === 'esp-timeout') {
             timeoutElement.innerHTML = `<i class="fas fa-exclamation-triangle"></i> ESP32 Timeout (${appState.timeSinceLastUpdate}s)`;
         } else {
             timeoutElement.innerHTML = `<i class="fas fa-question-circle"></i> ESP32 Never Connected`;
@@ -125,6 +422,290 @@ function updateTimeoutDisplay() {
     }
 }
 
+// ====== RESTORE DATA SOURCE ======
+function restoreDataSource() {
+    restoreEndpointProfile();
+    
+    // ?api= points the Apps Script adapter at another backend, e.g. the local mock server.
+    // Anyone can send such a link, so that backend never gets the saved login token.
+    const api = new URLSearchParams(window.location.search).get('api');
+    if (api && api !== CONFIG.apiEndpoint) {
+        CONFIG.apiEndpoint = api;
+        sessionlessApi = true;
+        console.log('🔌 API endpoint overridden for this visit, the saved login is not used');
+    }
+    
+    const saved = localStorage.getItem('batteryDashboard.dataSource');
+    if (saved && DATA_SOURCES[saved]) {
+        CONFIG.dataSource = saved;
+    }
+    
+    // ?demo=1 runs the simulator for this visit without changing the saved source
+    if (new URLSearchParams(window.location.search).get('demo') === '1') {
+        CONFIG.dataSource = 'demo';
+    }
+    document.body.classList.toggle('demo-mode', isDemoMode());
+    
+    const select = document.getElementById('data-source-select');
+    if (select) {
+        select.value = CONFIG.dataSource;
+    }
+    
+    const dataSource = document.getElementById('data-source');
+    if (dataSource) {
+        dataSource.textContent = getDataSource().name;
+    }
+}
+
+// ====== ENDPOINT PROFILES ======
+function restoreEndpointProfile() {
+    try {
+        const saved = JSON.parse(localStorage.getItem('batteryDashboard.profiles') || '[]');
+        endpointProfiles.list = [BUILTIN_PROFILE].concat(saved.filter(profile => profile && profile.id !== 'default'));
+    } catch (error) {
+        console.warn('⚠️ Ignoring corrupted endpoint profiles:', error);
+        endpointProfiles.list = [BUILTIN_PROFILE];
+    }
+    
+    // ?profile= accepts the profile ID or its name
+    const requested = new URLSearchParams(window.location.search).get('profile');
+    const fromUrl = requested && endpointProfiles.list.find(profile =>
+        profile.id === requested || profile.name.toLowerCase() === requested.toLowerCase()
+    );
+    if (requested && !fromUrl) {
+        console.warn('⚠️ Unknown endpoint profile:', requested);
+    }
+    
+    const saved = getEndpointProfile(localStorage.getItem('batteryDashboard.activeProfile'));
+    applyEndpointProfile(fromUrl || saved || BUILTIN_PROFILE);
+}
+
+function getEndpointProfile(id) {
+    return endpointProfiles.list.find(profile => profile.id === id) || null;
+}
+
+function applyEndpointProfile(profile) {
+    endpointProfiles.activeId = profile.id;
+    PROFILE_FIELDS.forEach(field => {
+        CONFIG[field] = profile[field];
+    });
+    
+    const label = document.getElementById('active-profile');
+    if (label) {
+        label.textContent = profile.name;
+    }
+    
+    console.log(`🔧 Endpoint profile: ${profile.name}`);
+}
+
+function activateEndpointProfile(id) {
+    const profile = getEndpointProfile(id);
+    if (!profile || id === endpointProfiles.activeId) return;
+    
+    applyEndpointProfile(profile);
+    localStorage.setItem('batteryDashboard.activeProfile', id);
+    
+    // Tokens and cached rows belong to the previous backend
+    clearAuth();
+    renderAuthState();
+    DATA_SOURCES.staticFile.rows = null;
+    appState.history.clientRows = null;
+    
+    resetLiveData();
+    loadInitialData();
+    loadDevices();
+    restartLiveStream();
+    reschedulePolling();
+    
+    closeSettingsDialog();
+    showMessage(`Switched to ${profile.name}`, 'success');
+}
+
+function openSettingsDialog() {
+    renderProfileSelect(endpointProfiles.activeId);
+    fillSettingsForm(getEndpointProfile(endpointProfiles.activeId));
+    document.getElementById('settings-status').textContent = '';
+    document.getElementById('settings-dialog').classList.add('open');
+}
+
+function closeSettingsDialog() {
+    document.getElementById('settings-dialog').classList.remove('open');
+}
+
+function renderProfileSelect(selectedId) {
+    const select = document.getElementById('settings-profile');
+    select.innerHTML = '';
+    endpointProfiles.list.forEach(profile => select.add(new Option(
+        profile.name + (profile.id === endpointProfiles.activeId ? ' (active)' : ''),
+        profile.id
+    )));
+    select.value = selectedId;
+}
+
+function fillSettingsForm(profile) {
+    document.getElementById('settings-name').value = profile.name;
+    document.getElementById('settings-api').value = profile.apiEndpoint;
+    document.getElementById('settings-local').value = profile.localEndpoint;
+    document.getElementById('settings-timeout').value = profile.requestTimeout;
+    document.getElementById('settings-page-size').value = profile.historyPageSize;
+    document.getElementById('settings-esp-timeout').value = profile.espTimeout;
+    
+    // The built-in profile mirrors CONFIG in script.js and is edited there
+    document.querySelectorAll('#settings-dialog .modal-field input').forEach(input => {
+        input.disabled = !!profile.builtIn;
+    });
+    document.getElementById('settings-delete').disabled = !!profile.builtIn;
+    document.getElementById('settings-save').disabled = !!profile.builtIn;
+}
+
+function newEndpointProfile() {
+    const select = document.getElementById('settings-profile');
+    select.innerHTML += '<option value="">New profile</option>';
+    select.value = '';
+    
+    fillSettingsForm(Object.assign({}, BUILTIN_PROFILE, { name: '', builtIn: false }));
+    document.getElementById('settings-name').focus();
+}
+
+function readSettingsForm() {
+    return {
+        name: document.getElementById('settings-name').value.trim(),
+        apiEndpoint: document.getElementById('settings-api').value.trim(),
+        localEndpoint: document.getElementById('settings-local').value.trim(),
+        requestTimeout: parseInt(document.getElementById('settings-timeout').value),
+        historyPageSize: parseInt(document.getElementById('settings-page-size').value),
+        espTimeout: parseInt(document.getElementById('settings-esp-timeout').value)
+    };
+}
+
+function validateEndpointProfile(profile) {
+    const isUrl = value => /^https?:\/\/[^\s]+$/i.test(value);
+    
+    if (!profile.name) return 'Give the profile a name';
+    if (endpointProfiles.list.some(item => item.name.toLowerCase() === profile.name.toLowerCase() && item.id !== profile.id)) {
+        return `A profile named ${profile.name} already exists`;
+    }
+    if (!isUrl(profile.apiEndpoint)) return 'Apps Script URL must start with http:// or https://';
+    if (!isUrl(profile.localEndpoint)) return 'ESP32 URL must start with http:// or https://';
+    if (!(profile.requestTimeout >= 1000 && profile.requestTimeout <= 60000)) return 'Request timeout must be between 1000 and 60000 ms';
+    if (!(profile.historyPageSize >= 5 && profile.historyPageSize <= 200)) return 'Page size must be between 5 and 200 rows';
+    if (!(profile.espTimeout >= 2000 && profile.espTimeout <= 300000)) return 'ESP32 timeout must be between 2000 and 300000 ms';
+    
+    return null;
+}
+
+async function saveEndpointProfile() {
+    const status = document.getElementById('settings-status');
+    const id = document.getElementById('settings-profile').value;
+    const profile = Object.assign({ id: id || 'profile-' + Date.now().toString(36) }, readSettingsForm());
+    
+    const error = validateEndpointProfile(profile);
+    if (error) {
+        status.textContent = error;
+        return;
+    }
+    
+    status.textContent = 'Testing connection...';
+    document.getElementById('settings-save').disabled = true;
+    
+    const result = await testEndpointProfile(profile);
+    document.getElementById('settings-save').disabled = false;
+    
+    if (!result.success) {
+        status.textContent = `Not saved: ${result.message}`;
+        return;
+    }
+    
+    const index = endpointProfiles.list.findIndex(item => item.id === profile.id);
+    if (index >= 0) {
+        endpointProfiles.list[index] = profile;
+    } else {
+        endpointProfiles.list.push(profile);
+    }
+    localStorage.setItem('batteryDashboard.profiles', JSON.stringify(endpointProfiles.list.filter(item => !item.builtIn)));
+    
+    // Editing the active profile takes effect right away
+    if (profile.id === endpointProfiles.activeId) {
+        applyEndpointProfile(profile);
+        reschedulePolling();
+    }
+    
+    renderProfileSelect(profile.id);
+    status.textContent = `Saved ${profile.name}: ${result.message}`;
+    console.log(`🔧 Endpoint profile saved: ${profile.name}`);
+}
+
+// The candidate gets its own client, so the live settings, polling and login are left alone.
+// The ESP32 URL is only checked when the dashboard reads from it, otherwise the Apps Script URL is.
+async function testEndpointProfile(profile) {
+    try {
+        if (CONFIG.dataSource === 'localHttp') {
+            const url = profile.localEndpoint.replace(/\/+$/, '') + '/api/status?_=' + Date.now();
+            const data = await requestJson(url, profile.requestTimeout);
+            return { success: true, message: 'Connection test passed', data: data };
+        }
+        
+        const client = createAppsScriptClient({
+            endpoint: profile.apiEndpoint,
+            timeout: profile.requestTimeout,
+            request: requestJson
+        });
+        const data = await client.test();
+        if (data.code === 'unauthorized') {
+            // The endpoint answered, it just wants a login the test does not send
+            return { success: true, message: 'Connection test passed (login required)', data: data };
+        }
+        return { success: true, message: 'Connection test passed', data: data };
+    } catch (error) {
+        console.error('❌ Profile connection test failed:', error);
+        return { success: false, message: 'Connection failed: ' + error.message };
+    }
+}
+
+function deleteEndpointProfile() {
+    const id = document.getElementById('settings-profile').value;
+    const profile = getEndpointProfile(id);
+    if (!profile || profile.builtIn) return;
+    if (!confirm(`Delete the ${profile.name} profile?`)) return;
+    
+    if (id === endpointProfiles.activeId) {
+        activateEndpointProfile('default');
+    }
+    
+    endpointProfiles.list = endpointProfiles.list.filter(item => item.id !== id);
+    localStorage.setItem('batteryDashboard.profiles', JSON.stringify(endpointProfiles.list.filter(item => !item.builtIn)));
+    
+    renderProfileSelect(endpointProfiles.activeId);
+    fillSettingsForm(getEndpointProfile(endpointProfiles.activeId));
+    document.getElementById('settings-status').textContent = `Deleted ${profile.name}`;
+}
+
+// ====== RESTORE RETENTION ======
+function restoreRetention() {
+    const saved = parseInt(localStorage.getItem('batteryDashboard.retentionDays'));
+    if (saved > 0) {
+        CONFIG.readingRetentionDays = saved;
+    }
+    
+    const select = document.getElementById('retention-days');
+    if (select) {
+        select.value = CONFIG.readingRetentionDays;
+    }
+}
+
+// ====== RESTORE PUSH MODE ======
+function restorePushMode() {
+    const saved = localStorage.getItem('batteryDashboard.pushMode');
+    if (saved) {
+        CONFIG.pushMode = saved;
+    }
+    
+    const select = document.getElementById('push-mode');
+    if (select) {
+        select.value = CONFIG.pushMode;
+    }
+}
+
 // ====== UPDATE CURRENT TIME ======
 function updateCurrentTime() {
     const now = new Date();
@@ -138,9 +719,9 @@ function updateCurrentTime() {
 // ====== SETUP EVENT LISTENERS ======
 function setupEventListeners() {
     // Chart type buttons
-    document.querySelectorAll('.chart-btn').forEach(btn => {
+    document.querySelectorAll('.chart-controls .chart-btn').forEach(btn => {
         btn.addEventListener('click', function() {
-            document.querySelectorAll('.chart-btn').forEach(b => b.classList.remove('active'));
+            document.querySelectorAll('.chart-controls .chart-btn').forEach(b => b.classList.remove('active'));
             this.classList.add('active');
             updateChart(this.dataset.type);
         });
@@ -159,14 +740,250 @@ function setupEventListeners() {
         }
     });
     
-    // Export button
+    // History table sorting and columns
+    document.getElementById('history-header').addEventListener('click', (event) => {
+        const header = event.target.closest('[data-sort]');
+        if (header) {
+            toggleHistorySort(header.dataset.sort);
+        }
+    });
+    document.getElementById('column-menu-btn').addEventListener('click', () => {
+        document.getElementById('column-menu').classList.toggle('open');
+    });
+    document.getElementById('column-list').addEventListener('change', (event) => {
+        if (event.target.dataset.column) {
+            toggleColumn(event.target.dataset.column, event.target.checked);
+        }
+    });
+    document.getElementById('column-list').addEventListener('click', (event) => {
+        const button = event.target.closest('[data-move]');
+        if (button) {
+            moveColumn(button.dataset.move, parseInt(button.dataset.offset));
+        }
+    });
+    document.getElementById('column-reset').addEventListener('click', resetColumnLayout);
+    
+    // History filters
+    document.getElementById('history-filter-apply').addEventListener('click', applyHistoryFilterForm);
+    document.getElementById('history-filter-clear').addEventListener('click', clearHistoryFilters);
+    
+    // Battery profile dialog
+    document.getElementById('profile-btn').addEventListener('click', openProfileDialog);
+    document.getElementById('profile-close').addEventListener('click', closeProfileDialog);
+    document.getElementById('profile-save').addEventListener('click', saveBatteryProfileFromForm);
+    document.getElementById('profile-reset').addEventListener('click', () => fillProfileForm(DEFAULT_BATTERY_PROFILE));
+    document.getElementById('profile-chemistry').addEventListener('change', fillProfileVoltages);
+    document.getElementById('profile-cells').addEventListener('change', fillProfileVoltages);
+    
+    // Energy section
+    document.getElementById('energy-export').addEventListener('click', () => {
+        document.getElementById('export-dataset').value = 'sessions';
+        exportData();
+    });
+    document.getElementById('energy-reset').addEventListener('click', resetEnergyCounters);
+    window.addEventListener('pagehide', () => saveEnergyState());
+    
+    // Connection settings
+    document.getElementById('settings-btn').addEventListener('click', openSettingsDialog);
+    document.getElementById('settings-close').addEventListener('click', closeSettingsDialog);
+    document.getElementById('settings-profile').addEventListener('change', function() {
+        fillSettingsForm(getEndpointProfile(this.value));
+    });
+    document.getElementById('settings-new').addEventListener('click', newEndpointProfile);
+    document.getElementById('settings-delete').addEventListener('click', deleteEndpointProfile);
+    document.getElementById('settings-save').addEventListener('click', saveEndpointProfile);
+    document.getElementById('settings-activate').addEventListener('click', () => {
+        activateEndpointProfile(document.getElementById('settings-profile').value);
+    });
+    
+    // Login
+    document.getElementById('auth-btn').addEventListener('click', () => {
+        if (authState.token) {
+            logout();
+        } else {
+            openLoginDialog();
+        }
+    });
+    document.getElementById('login-submit').addEventListener('click', submitLogin);
+    document.getElementById('login-cancel').addEventListener('click', closeLoginDialog);
+    document.getElementById('login-password').addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') submitLogin();
+    });
+    document.getElementById('audit-clear').addEventListener('click', clearAuditLog);
+    
+    // Remote control
+    document.getElementById('temp-limit-set').addEventListener('click', () => {
+        sendControlCommand('tempLimit', parseFloat(document.getElementById('temp-limit-input').value));
+    });
+    document.querySelectorAll('.fan-mode-btn').forEach(btn => {
+        btn.addEventListener('click', () => sendControlCommand('fanMode', btn.dataset.mode));
+    });
+    
+    // Health analytics
+    document.getElementById('health-analyze').addEventListener('click', analyzeHealth);
+    
+    // Thermal analytics
+    document.getElementById('thermal-analyze').addEventListener('click', analyzeThermal);
+    
+    // Periodic reports
+    document.getElementById('report-date').value = toDateTimeLocal(Date.now()).slice(0, 10);
+    document.getElementById('report-generate').addEventListener('click', generateReport);
+    document.getElementById('report-print').addEventListener('click', printReport);
+    window.addEventListener('afterprint', finishReportPrint);
+    
+    // Export dialog
     document.getElementById('export-btn').addEventListener('click', exportData);
+    document.getElementById('export-start').addEventListener('click', runExport);
+    document.getElementById('export-close').addEventListener('click', closeExportDialog);
     
     // Refresh rate selector
     document.getElementById('refresh-rate').addEventListener('change', function() {
         CONFIG.refreshInterval = parseInt(this.value);
+        reschedulePolling();
         showMessage(`Refresh rate: ${CONFIG.refreshInterval/1000} seconds`, 'info');
     });
+    
+    // Slow down or pause polling while the tab is in the background
+    document.addEventListener('visibilitychange', () => {
+        if (!pollScheduler.running) return;
+        
+        if (document.hidden) {
+            console.log('🙈 Tab hidden, slowing down polling');
+            reschedulePolling();
+        } else {
+            console.log('👀 Tab visible, refreshing now');
+            clearTimeout(pollScheduler.timer);
+            runScheduledPoll();
+        }
+    });
+    
+    // Alarm panel
+    document.getElementById('alarm-list').addEventListener('click', (event) => {
+        const button = event.target.closest('[data-ack]');
+        if (button) {
+            acknowledgeAlarm(button.dataset.ack);
+        }
+    });
+    document.getElementById('alarm-ack-all').addEventListener('click', acknowledgeAllAlarms);
+    document.getElementById('alarm-log-clear').addEventListener('click', clearAlarmLog);
+    document.getElementById('alarm-rules-save').addEventListener('click', saveAlarmRulesFromEditor);
+    document.getElementById('alarm-rules-reset').addEventListener('click', resetAlarmRules);
+    
+    // Critical notifications
+    document.getElementById('notify-enable').addEventListener('click', enableNotifications);
+    document.getElementById('notify-sound').addEventListener('change', function() {
+        setAlarmSound(this.checked);
+    });
+    document.getElementById('notify-conditions').addEventListener('click', (event) => {
+        const muteButton = event.target.closest('[data-mute]');
+        if (muteButton) {
+            toggleConditionMute(muteButton.dataset.mute);
+        }
+    });
+    document.getElementById('notify-conditions').addEventListener('change', (event) => {
+        if (event.target.dataset.snooze) {
+            snoozeCondition(event.target.dataset.snooze, parseInt(event.target.value));
+            event.target.value = '';
+        }
+    });
+    
+    // Chart range buttons
+    document.querySelectorAll('.range-btn').forEach(btn => {
+        btn.addEventListener('click', function() {
+            if (this.dataset.range === 'custom') {
+                document.getElementById('custom-range').classList.toggle('open');
+                return;
+            }
+            setChartRange(this.dataset.range);
+        });
+    });
+    
+    document.getElementById('custom-range-apply').addEventListener('click', () => {
+        const from = new Date(document.getElementById('range-from').value).getTime();
+        const to = new Date(document.getElementById('range-to').value).getTime();
+        
+        if (isNaN(from) || isNaN(to) || from >= to) {
+            showMessage('Pick a valid start and end time', 'error');
+            return;
+        }
+        setChartRange('custom', from, to);
+    });
+    
+    document.getElementById('reset-zoom').addEventListener('click', () => {
+        if (trendChart && trendChart.resetZoom) {
+            trendChart.resetZoom();
+        }
+    });
+    
+    // Reading retention selector
+    document.getElementById('retention-days').addEventListener('change', function() {
+        CONFIG.readingRetentionDays = parseInt(this.value);
+        localStorage.setItem('batteryDashboard.retentionDays', CONFIG.readingRetentionDays);
+        pruneReadings();
+        showMessage(`Keeping readings for ${CONFIG.readingRetentionDays} days`, 'info');
+    });
+    
+    // Device switcher and fleet overview
+    document.getElementById('device-select').addEventListener('change', function() {
+        switchDevice(this.value);
+    });
+    document.getElementById('fleet-grid').addEventListener('click', (event) => {
+        const card = event.target.closest('[data-device]');
+        if (card && card.dataset.device !== fleet.activeId) {
+            switchDevice(card.dataset.device);
+        }
+    });
+    document.getElementById('device-add').addEventListener('click', addDeviceFromForm);
+    
+    // Data source selector
+    document.getElementById('data-source-select').addEventListener('change', function() {
+        const wasDemo = isDemoMode();
+        if (!wasDemo) {
+            saveEnergyState();
+        }
+        setDataSource(this.value);
+        
+        // Demo packs keep their counters in memory, the real ones come back from storage
+        if (wasDemo !== isDemoMode()) {
+            resetSocEstimator();
+            restoreSocEstimate();
+            loadEnergyState();
+        }
+        resetLiveData();
+        showMessage(`Data source: ${getDataSource().name}`, 'info');
+        loadInitialData();
+        restartLiveStream();
+        loadDevices();
+    });
+    
+    // Live update mode selector
+    document.getElementById('push-mode').addEventListener('change', function() {
+        CONFIG.pushMode = this.value;
+        localStorage.setItem('batteryDashboard.pushMode', CONFIG.pushMode);
+        restartLiveStream();
+    });
+}
+
+// ====== RESET LIVE DATA ======
+function resetLiveData() {
+    connectionMonitor.reset();
+    appState.quality = { flags: {}, stale: false };
+    dataQuality.lastTimestamp = null;
+    
+    Object.keys(appState.chartData).forEach(key => {
+        appState.chartData[key] = [];
+    });
+    
+    const activeBtn = document.querySelector('.chart-controls .chart-btn.active');
+    if (activeBtn) {
+        updateChart(activeBtn.dataset.type);
+    }
+    if (thermalState.marginChart) {
+        renderThermalMarginChart();
+    }
+    
+    updateConnectionStatus();
+    showPlaceholderData();
 }
 
 // ====== LOAD INITIAL DATA ======
@@ -194,99 +1011,38 @@ async function loadInitialData() {
 
 // ====== TEST CONNECTION ======
 async function testConnection() {
-    try {
-        const url = CONFIG.apiEndpoint + '?action=test&_=' + Date.now();
-        console.log('🧪 Testing connection to:', url);
-        
-        const response = await fetchWithTimeout(url, 5000);
-        
-        if (response.ok) {
-            const data = await response.json();
-            console.log('🧪 Connection test response:', data);
-            return { success: true, message: 'Connection test passed', data: data };
-        } else {
-            const errorText = await response.text();
-            console.error('🧪 HTTP error:', response.status, errorText);
-            return { success: false, message: `HTTP error: ${response.status}` };
-        }
-        
-    } catch (error) {
-        console.error('❌ Connection test failed:', error);
-        return { success: false, message: 'Connection failed: ' + error.message };
-    }
+    const source = getDataSource();
+    console.log(`🧪 Testing connection (${source.name})...`);
+    return source.test();
 }
 
 // ====== FETCH LATEST DATA ======
 async function fetchLatestData() {
+    const deviceId = getActiveDeviceId();
+    
     try {
         console.log('🔄 ====== FETCH LATEST DATA START ======');
         
-        const response = await fetchFromGoogleSheets('getLatest');
+        const response = await getDataSource().getLatest({ device: deviceId });
         console.log('📦 Full API Response:', response);
         
-        if (response.status === 'success') {
-            console.log('✅ Server returned success status');
-            
-            appState.lastSuccessfulUpdate = Date.now();
-            appState.online = true;
-            
-            // Check if data exists
-            if (response.data) {
-                console.log('📊 Data received from API:', response.data);
-                
-                // Update app state with received data
-                updateAppState(response.data);
-                
-                // Update ESP connection status
-                if (response.esp_connected !== undefined) {
-                    appState.espConnected = response.esp_connected;
-                }
-                
-                if (response.time_since_last) {
-                    appState.timeSinceLastUpdate = parseInt(response.time_since_last) || 0;
-                }
-                
-                // Update UI
-                updateDashboard();
-                updateChartData();
-                updateConnectionStatus();
-                
-                console.log('✅ Data updated successfully');
-                console.log('📈 Current App State:', {
-                    voltage: appState.voltage,
-                    current: appState.current,
-                    temperature: appState.temperature,
-                    battery: appState.battery,
-                    tempLimit: appState.tempLimit,
-                    fanStatus: appState.fanStatus,
-                    power: appState.power
-                });
-                
-            } else {
-                console.warn('⚠️ API returned success but data is null');
-                console.log('🔍 Response structure:', response);
-                
-                appState.espConnected = false;
-                updateConnectionStatus();
-                showPlaceholderData();
-                showMessage('No data available from server', 'info');
-            }
-            
+        // The pack may have been switched while the request was out, its reading only goes to the fleet
+        const responseId = response.data && response.data.device_id;
+        if (deviceId !== getActiveDeviceId() || (responseId && responseId !== deviceId)) {
+            console.log(`⏭️ Reading for ${responseId || deviceId} arrived after switching to ${getActiveDeviceId()}`);
+            updateFleetDevice(responseId || deviceId, response);
         } else {
-            console.error('❌ Server returned error:', response);
-            appState.online = false;
-            appState.espConnected = false;
-            updateConnectionStatus();
-            showPlaceholderData();
-            showMessage('Server error: ' + (response.message || 'Unknown error'), 'error');
+            handleLatestResponse(response);
         }
         
     } catch (error) {
+        if (deviceId !== getActiveDeviceId()) return;
+        
         console.error('❌ Error in fetchLatestData:', error);
-        appState.online = false;
-        appState.espConnected = false;
+        connectionMonitor.recordFailure();
         updateConnectionStatus();
         showPlaceholderData();
+        persistOfflineMarker();
         
         showMessage('Failed to fetch data: ' + error.message, 'error');
     }
@@ -294,46 +1050,574 @@ async function fetchLatestData() {
     console.log('🔄 ====== FETCH LATEST DATA END ======');
 }
 
-// ====== FETCH FROM GOOGLE SHEETS ======
-async function fetchFromGoogleSheets(action, params = {}) {
-    // Build URL manually
-    let url = CONFIG.apiEndpoint + '?action=' + encodeURIComponent(action);
+// ====== HANDLE LATEST RESPONSE ======
+function handleLatestResponse(response) {
+    const hasData = connectionMonitor.recordResponse(response);
     
-    // Add other parameters
-    for (const key in params) {
-        if (params.hasOwnProperty(key)) {
-            url += '&' + encodeURIComponent(key) + '=' + encodeURIComponent(params[key]);
+    if (response.status === 'success') {
+        console.log('✅ Server returned success status');
+        
+        // Check if data exists
+        if (hasData) {
+            console.log('📊 Data received from API:', response.data);
+            
+            // Update app state with received data
+            updateAppState(response.data);
+            
+            updateSocEstimate(response.data);
+            updateEnergy(response.data);
+            confirmControlCommands(response.data);
+            
+            // Update UI
+            updateDashboard();
+            updateChartData();
+            updateThermalLive();
+            updateConnectionStatus();
+            evaluateAlarms();
+            if (!appState.quality.stale) {
+                persistReading();
+            }
+            syncActiveDeviceState();
+            
+            console.log('✅ Data updated successfully');
+            console.log('📈 Current App State:', {
+                voltage: appState.voltage,
+                current: appState.current,
+                temperature: appState.temperature,
+                battery: appState.battery,
+                tempLimit: appState.tempLimit,
+                fanStatus: appState.fanStatus,
+                power: appState.power
+            });
+            
+        } else {
+            console.warn('⚠️ API returned success but data is null');
+            console.log('🔍 Response structure:', response);
+            
+            updateConnectionStatus();
+            showPlaceholderData();
+            showMessage('No data available from server', 'info');
         }
+        
+    } else {
+        console.error('❌ Server returned error:', response);
+        updateConnectionStatus();
+        showPlaceholderData();
+        persistOfflineMarker();
+        showMessage('Server error: ' + (response.message || 'Unknown error'), 'error');
     }
+}
+
+// ====== FETCH FROM GOOGLE SHEETS ======
+async function fetchFromGoogleSheets(action, params = {}) {
+    const data = await appsScriptClient.call(action, params);
     
-    // Add cache buster
-    url += '&_=' + Date.now();
-    
+    // Apps Script cannot send HTTP status codes, so auth errors come in the body
+    if (data && data.code === 'unauthorized') {
+        handleUnauthorized(data.message);
+    }
+    return data;
+}
+
+// ====== REQUEST JSON ======
+async function requestJson(url, timeout = CONFIG.requestTimeout, options = {}) {
     console.log('🌐 Fetching URL:', url);
     
     try {
-        const response = await fetchWithTimeout(url, 10000);
-        console.log('📥 Response status:', response.status, response.statusText);
-        
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error('❌ Response error:', errorText);
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-        
-        const text = await response.text();
-        console.log('📥 Raw response:', text.substring(0, 200) + '...');
-        
-        const data = JSON.parse(text);
+        const data = await BatteryCore.requestJson(url, Object.assign({ timeout: timeout }, options));
         console.log('✅ Parsed data:', data);
         return data;
         
     } catch (error) {
+        if (error.status === 401) {
+            handleUnauthorized();
+        }
+        if (error.body !== undefined) {
+            console.error('❌ Response error:', error.body);
+        }
         console.error('❌ Fetch error:', error);
         throw error;
     }
 }
 
+// Device and token follow the active selection and login
+const appsScriptClient = createAppsScriptClient({
+    endpoint: () => CONFIG.apiEndpoint,
+    timeout: () => CONFIG.requestTimeout,
+    params: () => Object.assign({ device: getActiveDeviceId() }, getAuthParams()),
+    request: requestJson
+});
+
+// ====== DATA SOURCE ADAPTERS ======
+// Every adapter exposes test() / getLatest(params) / getHistory(params) and answers
+// in the Apps Script response shape ({ status, data, pagination, ... }), so the
+// rest of the dashboard does not care where the readings come from. Requests
+// carry the active device ID unless params.device names another one.
+// sendCommand({ command, value }) is the single write path; it answers
+// { status, message } once the backend has queued the command for the ESP32.
+const DATA_SOURCES = {
+    appsScript: {
+        name: 'Google Sheets',
+        
+        async test() {
+            try {
+                const data = await appsScriptClient.test();
+                if (data.code === 'unauthorized') {
+                    handleUnauthorized(data.message);
+                    return { success: false, message: 'Login required' };
+                }
+                console.log('🧪 Connection test response:', data);
+                return { success: true, message: 'Connection test passed', data: data };
+            } catch (error) {
+                console.error('❌ Connection test failed:', error);
+                return { success: false, message: 'Connection failed: ' + error.message };
+            }
+        },
+        
+        getLatest(params = {}) {
+            return fetchFromGoogleSheets('getLatest', params);
+        },
+        
+        getHistory(params) {
+            return fetchFromGoogleSheets('getHistory', params);
+        },
+        
+        async getDevices() {
+            const response = await fetchFromGoogleSheets('getDevices');
+            return response.status === 'success' ? response.data : [];
+        },
+        
+        sendCommand(command) {
+            return fetchFromGoogleSheets('setControl', { command: command.command, value: command.value });
+        },
+        
+        login(username, password) {
+            return appsScriptClient.login(username, password);
+        }
+    },
+    
+    localHttp: {
+        name: 'ESP32 (Local)',
+        
+        async test() {
+            try {
+                const data = await requestJson(localUrl('/api/status'), CONFIG.requestTimeout);
+                return { success: true, message: 'Connection test passed', data: data };
+            } catch (error) {
+                console.error('❌ Connection test failed:', error);
+                return { success: false, message: 'Connection failed: ' + error.message };
+            }
+        },
+        
+        async getLatest(params = {}) {
+            const payload = await requestJson(localUrl('/api/latest', params));
+            return toLatestResponse(payload);
+        },
+        
+        async getDevices() {
+            const payload = await requestJson(localUrl('/api/devices'), CONFIG.requestTimeout);
+            return Array.isArray(payload) ? payload : (payload.data || []);
+        },
+        
+        async sendCommand(command) {
+            const payload = await requestJson(localUrl('/api/control'), CONFIG.requestTimeout, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ command: command.command, value: command.value, device: getActiveDeviceId() })
+            });
+            return payload && payload.status ? payload : { status: 'success' };
+        },
+        
+        login(username, password) {
+            return requestJson(localUrl('/api/login'), CONFIG.requestTimeout, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username: username, password: password })
+            });
+        },
+        
+        getStreamUrl(transport) {
+            // Browsers cannot set headers on WebSocket/EventSource, so the token rides in the URL
+            const token = authState.token ? '&token=' + encodeURIComponent(authState.token) : '';
+            const device = '?device=' + encodeURIComponent(getActiveDeviceId()) + token;
+            if (transport === 'websocket') {
+                return CONFIG.localEndpoint.replace(/^http/, 'ws').replace(/\/+$/, '') + '/ws' + device;
+            }
+            return CONFIG.localEndpoint.replace(/\/+$/, '') + '/api/events' + device;
+        },
+        
+        async getHistory(params) {
+            const payload = await requestJson(localUrl('/api/history', params));
+            
+            if (Array.isArray(payload)) {
+                return paginateRows(payload.map(normalizeReading), params.page, params.limit);
+            }
+            return payload;
+        }
+    },
+    
+    staticFile: {
+        name: 'Static File',
+        rows: null,
+        
+        async test() {
+            try {
+                const rows = await this.load(true);
+                return { success: true, message: `Loaded ${rows.length} rows`, data: { rows: rows.length } };
+            } catch (error) {
+                console.error('❌ Static file load failed:', error);
+                return { success: false, message: 'Cannot read file: ' + error.message };
+            }
+        },
+        
+        async getLatest(params = {}) {
+            const rows = this.forDevice(await this.load(false), params.device);
+            const latest = rows.length > 0 ? rows[rows.length - 1] : null;
+            const age = latest && latest.timestamp ? Date.now() - new Date(latest.timestamp).getTime() : 0;
+            
+            return {
+                status: 'success',
+                data: latest,
+                esp_connected: !!latest,
+                time_since_last: Math.max(0, Math.floor(age / 1000))
+            };
+        },
+        
+        async getHistory(params) {
+            return queryHistoryRows(this.forDevice(await this.load(false), params.device), params);
+        },
+        
+        async sendCommand() {
+            return { status: 'error', message: 'Static files are read-only' };
+        },
+        
+        async login() {
+            return { status: 'error', message: 'Static files have no login' };
+        },
+        
+        async getDevices() {
+            const rows = await this.load(false);
+            const ids = [...new Set(rows.map(row => row.device_id).filter(Boolean))];
+            return ids.map(id => ({ id: id, name: id }));
+        },
+        
+        // Files without a device_id column belong to every device
+        forDevice(rows, device = getActiveDeviceId()) {
+            return rows.filter(row => !row.device_id || row.device_id === device);
+        },
+        
+        async load(force) {
+            if (this.rows && !force) return this.rows;
+            
+            const url = CONFIG.staticFileUrl + (CONFIG.staticFileUrl.includes('?') ? '&' : '?') + '_=' + Date.now();
+            const response = await fetchWithTimeout(url, CONFIG.requestTimeout);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            
+            const text = await response.text();
+            let rows;
+            if (/\.csv(\?|$)/i.test(CONFIG.staticFileUrl)) {
+                rows = parseCsv(text);
+            } else {
+                const json = JSON.parse(text);
+                rows = Array.isArray(json) ? json : (json.data || []);
+            }
+            
+            this.rows = rows.map(normalizeReading);
+            console.log(`📄 Static file loaded: ${this.rows.length} rows`);
+            return this.rows;
+        }
+    },
+    
+    demo: {
+        name: 'Demo Simulator',
+        packs: {},
+        
+        async test() {
+            return { success: true, message: 'Demo simulator running', data: { demo: true } };
+        },
+        
+        async getLatest(params = {}) {
+            const pack = this.getPack(params.device);
+            const age = pack.last ? Date.now() - Date.parse(pack.last.timestamp) : 0;
+            
+            // During a dropout the backend keeps serving the last reading it got
+            return {
+                status: 'success',
+                data: pack.last,
+                esp_connected: pack.dropoutUntil === null,
+                time_since_last: Math.floor(age / 1000)
+            };
+        },
+        
+        async getHistory(params) {
+            return queryHistoryRows(this.getPack(params.device).rows, params);
+        },
+        
+        async getDevices() {
+            return DEMO_DEVICES.slice();
+        },
+        
+        async sendCommand(command) {
+            this.getPack().pending.push({ command: command.command, value: command.value });
+            return { status: 'success', message: 'Queued' };
+        },
+        
+        // Any name works, demo users are operators so the control panel can be tried
+        async login(username) {
+            return {
+                status: 'success',
+                token: 'demo',
+                user: { name: username, role: 'operator' },
+                expires_in: 8 * 3600
+            };
+        },
+        
+        getPack(device = getActiveDeviceId()) {
+            const pack = this.packs[device] || (this.packs[device] = createDemoPack(device));
+            advanceDemoPack(pack, Date.now());
+            return pack;
+        }
+    }
+};
+
+// ====== DEMO SIMULATOR ======
+// Synthetic packs for demos, training and UI work without an ESP32: load steps while
+// discharging, a tapering charge, I²R heating with the fan switching at the temperature
+// limit and the odd ESP32 dropout. Readings go through the normal adapter path.
+function isDemoMode() {
+    return CONFIG.dataSource === 'demo';
+}
+
+function createDemoPack(id) {
+    // A stable offset per device ID, so fleet packs are not in lockstep
+    const seed = [...id].reduce((sum, char) => sum + char.charCodeAt(0), 0);
+    const now = Date.now();
+    const pack = {
+        id: id,
+        at: now - DEMO_HISTORY_HOURS * 3600000,
+        soc: 40 + seed % 55,
+        mode: 'discharge',
+        restUntil: null,
+        ambient: 22 + seed % 6,
+        temperature: 22 + seed % 6,
+        current: 0,
+        tempLimit: 45.0,
+        fanMode: 'AUTO',
+        fanOn: false,
+        loadOffset: seed * 60000,
+        dropoutUntil: null,
+        pending: [],
+        rows: [],
+        last: null
+    };
+    
+    // Backfill the history at one reading per minute
+    while (pack.at < now) {
+        stepDemoPack(pack, Math.min(DEMO_STEP_SECONDS, (now - pack.at) / 1000));
+    }
+    
+    console.log(`🧪 Demo pack ${id} ready with ${pack.rows.length} readings`);
+    return pack;
+}
+
+function advanceDemoPack(pack, now) {
+    while (pack.at < now) {
+        stepDemoPack(pack, Math.min(DEMO_STEP_SECONDS, (now - pack.at) / 1000));
+    }
+}
+
+function stepDemoPack(pack, seconds) {
+    const profile = batteryProfile;
+    pack.at += seconds * 1000;
+    
+    // Commands are picked up on the next step, like queued commands on the real firmware
+    pack.pending.splice(0).forEach(command => {
+        if (command.command === 'setTempLimit') pack.tempLimit = command.value;
+        if (command.command === 'setFanMode') pack.fanMode = command.value;
+    });
+    
+    // Discharge to 20 %, charge back to full, rest a while, repeat
+    if (pack.mode === 'discharge' && pack.soc <= 20) {
+        pack.mode = 'charge';
+    } else if (pack.mode === 'charge' && pack.soc >= 99.5) {
+        pack.mode = 'rest';
+        pack.restUntil = pack.at + DEMO_REST_MINUTES * 60000;
+    } else if (pack.mode === 'rest' && pack.at >= pack.restUntil) {
+        pack.mode = 'discharge';
+    }
+    
+    let target = 0;
+    if (pack.mode === 'discharge') {
+        // Base load, with a heavy load switched on for 10 minutes out of every 20
+        const heavy = Math.floor((pack.at + pack.loadOffset) / 600000) % 2 === 0;
+        target = profile.maxCurrent * (heavy ? 0.85 : 0.25);
+    } else if (pack.mode === 'charge') {
+        // Constant current at 0.3 C, tapering over the last 10 %
+        target = -profile.capacityAh * 0.3 * Math.min(1, (100 - pack.soc) / 10 + 0.05);
+    }
+    pack.current += (target - pack.current) * Math.min(1, seconds / 10) + (Math.random() - 0.5) * 0.1;
+    pack.soc = Math.min(Math.max(pack.soc - pack.current * seconds / 3600 / profile.capacityAh * 100, 0), 100);
+    
+    // Heating scales with (I / Imax)², the fan triples the cooling; 2 °C hysteresis in AUTO
+    const fanThreshold = pack.fanOn ? pack.tempLimit - 2 : pack.tempLimit;
+    pack.fanOn = pack.fanMode === 'ON' || (pack.fanMode === 'AUTO' && pack.temperature > fanThreshold);
+    const settle = pack.ambient + 35 * Math.pow(pack.current / profile.maxCurrent, 2) / (pack.fanOn ? 3 : 1);
+    pack.temperature += (settle - pack.temperature) * (1 - Math.exp(-seconds / DEMO_THERMAL_SECONDS));
+    
+    if (pack.dropoutUntil !== null && pack.at >= pack.dropoutUntil) {
+        pack.dropoutUntil = null;
+    }
+    if (pack.dropoutUntil === null && Math.random() < DEMO_DROPOUT_CHANCE * seconds / 60) {
+        pack.dropoutUntil = pack.at + (30 + Math.random() * 150) * 1000;
+        console.log(`🧪 Demo pack ${pack.id} drops out`);
+    }
+    
+    // The pack keeps running while the ESP32 is away, nothing reaches the backend
+    if (pack.dropoutUntil !== null) return;
+    
+    // Open-circuit voltage with a knee near empty, minus the sag under load
+    const s = pack.soc / 100;
+    const ocv = profile.minVoltage + (profile.maxVoltage - profile.minVoltage) *
+        (0.12 + 0.83 * s - 0.12 * Math.exp(-25 * s) + 0.05 * Math.pow(s, 10));
+    const voltage = ocv - pack.current * DEMO_PACK_RESISTANCE + (Math.random() - 0.5) * 0.04;
+    const round = (value, digits) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+    
+    pack.last = normalizeReading({
+        device_id: pack.id,
+        timestamp: new Date(pack.at).toISOString(),
+        voltage: round(voltage, 2),
+        current: round(pack.current, 2),
+        temperature: round(pack.temperature, 1),
+        battery: round(pack.soc, 1),
+        remaining_time: pack.current > 0.1 ? round(pack.soc / 100 * profile.capacityAh / pack.current, 1) : 0,
+        temp_limit: pack.tempLimit,
+        fan_status: pack.fanOn ? 'ON' : 'OFF',
+        fan_mode: pack.fanMode
+    });
+    
+    pack.rows.push(pack.last);
+    if (pack.rows.length > DEMO_MAX_ROWS) {
+        pack.rows.shift();
+    }
+}
+
+// ====== DATA SOURCE HELPERS ======
+function getDataSource() {
+    return DATA_SOURCES[CONFIG.dataSource] || DATA_SOURCES.appsScript;
+}
+
+function setDataSource(id) {
+    if (!DATA_SOURCES[id]) {
+        console.warn('⚠️ Unknown data source:', id);
+        return;
+    }
+    
+    CONFIG.dataSource = id;
+    localStorage.setItem('batteryDashboard.dataSource', id);
+    DATA_SOURCES.staticFile.rows = null;
+    document.body.classList.toggle('demo-mode', isDemoMode());
+    
+    console.log('🔌 Data source switched to:', DATA_SOURCES[id].name);
+}
+
+function localUrl(path, params = {}) {
+    params = Object.assign({ device: getActiveDeviceId() }, getAuthParams(), params);
+    let url = CONFIG.localEndpoint.replace(/\/+$/, '') + path + '?_=' + Date.now();
+    for (const key in params) {
+        if (params.hasOwnProperty(key)) {
+            url += '&' + encodeURIComponent(key) + '=' + encodeURIComponent(params[key]);
+        }
+    }
+    return url;
+}
+
+function toLatestResponse(payload) {
+    // The ESP32 may answer with a bare reading instead of the Sheets envelope
+    if (payload && payload.status) {
+        return payload;
+    }
+    return {
+        status: 'success',
+        data: payload ? normalizeReading(payload) : null,
+        esp_connected: !!payload,
+        time_since_last: 0
+    };
+}
+
+// ====== READING VALIDATION ======
+function trackDataQuality(data, flags) {
+    const at = Date.parse(data.timestamp);
+    const stale = !isNaN(at) && dataQuality.lastTimestamp !== null && at <= dataQuality.lastTimestamp;
+    if (!isNaN(at) && !stale) {
+        dataQuality.lastTimestamp = at;
+    }
+    
+    const kinds = new Set(Object.values(flags));
+    if (stale) kinds.add('stale');
+    
+    dataQuality.checked++;
+    if (kinds.size > 0) {
+        dataQuality.flagged++;
+        kinds.forEach(kind => dataQuality.counts[kind]++);
+        console.warn('⚠️ Reading flagged:', flags, stale ? '(stale)' : '');
+    }
+    
+    renderDataQuality();
+    return stale;
+}
+
+function formatReadingValue(value, digits = 1) {
+    return typeof value === 'number' ? value.toFixed(digits) : '--';
+}
+
+// Anything a backend or a device sent before it goes into innerHTML
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+function formatHistoryValue(item, field, digits, unit) {
+    const flag = item._flags && item._flags[field];
+    if (flag) {
+        return `<span class="quality-flag flag-${flag}" title="${QUALITY_FLAGS[flag]} value">${QUALITY_FLAGS[flag]}</span>`;
+    }
+    return typeof item[field] === 'number' ? `${item[field].toFixed(digits)} ${unit}` : '--';
+}
+
+function renderQualityFlags() {
+    const flags = appState.quality.flags;
+    
+    Object.keys(QUALITY_CARD_FIELDS).forEach(field => {
+        const element = document.getElementById(QUALITY_CARD_FIELDS[field]);
+        const container = element && element.closest('.card-value');
+        if (!container) return;
+        
+        const flag = flags[field] || (appState.quality.stale ? 'stale' : null);
+        container.classList.toggle('flagged', !!flag);
+        container.title = flag ? `${QUALITY_FLAGS[flag]} reading from the device` : '';
+        if (flag) {
+            container.dataset.flag = QUALITY_FLAGS[flag];
+        } else {
+            delete container.dataset.flag;
+        }
+    });
+}
+
+function renderDataQuality() {
+    const element = document.getElementById('data-quality');
+    if (!element) return;
+    
+    const checked = dataQuality.checked;
+    const clean = checked > 0 ? Math.round((checked - dataQuality.flagged) / checked * 100) : 100;
+    
+    element.textContent = checked > 0 ? `${clean}% clean (${dataQuality.flagged}/${checked} flagged)` : '--';
+    element.className = dataQuality.flagged > 0 ? 'quality-warning' : '';
+    element.title = Object.keys(QUALITY_FLAGS)
+        .map(kind => `${QUALITY_FLAGS[kind]}: ${dataQuality.counts[kind]}`)
+        .join(', ');
+}
+
 // ====== UPDATE APP STATE ======
 function updateAppState(data) {
     if (!data) {
@@ -343,17 +1627,29 @@ function updateAppState(data) {
     
     console.log('📊 Updating App State with data:', data);
     
-    // Update all values from API data
-    appState.voltage = parseFloat(data.voltage) || 0.0;
-    appState.current = parseFloat(data.current) || 0.0;
-    appState.temperature = parseFloat(data.temperature) || 0.0;
-    appState.battery = parseFloat(data.battery) || 0.0;
-    appState.remainingTime = parseInt(data.remaining_time) || 0;
-    appState.tempLimit = parseFloat(data.temp_limit) || 45.0;
-    appState.fanStatus = data.fan_status || "OFF";
-    appState.power = appState.voltage * appState.current;
+    const { values, flags } = validateReading(data);
+    
+    // Flagged fields stay null ("--" on the cards) instead of turning into 0
+    appState.voltage = values.voltage;
+    appState.current = values.current;
+    appState.temperature = values.temperature;
+    appState.battery = values.battery;
+    appState.remainingTime = values.remaining_time;
+    appState.fanStatus = values.fan_status;
+    appState.fanMode = data.fan_mode ? String(data.fan_mode).toUpperCase() : null;
+    appState.power = values.voltage !== null && values.current !== null ? values.voltage * values.current : null;
     appState.lastUpdate = new Date();
     
+    // The limit is a setting, so a reading without one keeps the last known value
+    if (values.temp_limit !== null || flags.temp_limit) {
+        appState.tempLimit = values.temp_limit;
+    }
+    
+    appState.quality = {
+        flags: flags,
+        stale: trackDataQuality(data, flags)
+    };
+    
     console.log('✅ App State Updated:', {
         voltage: appState.voltage,
         current: appState.current,
@@ -404,6 +1700,9 @@ function showPlaceholderData() {
         }
     });
     
+    appState.quality = { flags: {}, stale: false };
+    renderQualityFlags();
+    
     // Reset gauges
     const gauges = [
         'voltage-gauge', 'current-gauge', 'temperature-gauge',
@@ -423,23 +1722,26 @@ function updateDashboard() {
     console.log('📊 Updating dashboard...');
     
     // Update all display values
-    document.getElementById('voltage-value').textContent = appState.voltage.toFixed(1);
-    document.getElementById('current-value').textContent = appState.current.toFixed(1);
-    document.getElementById('temperature-value').textContent = appState.temperature.toFixed(1);
-    document.getElementById('battery-value').textContent = appState.battery.toFixed(1);
-    document.getElementById('temp-limit-value').textContent = appState.tempLimit.toFixed(1);
-    document.getElementById('remaining-time').textContent = appState.remainingTime;
-    document.getElementById('fan-status').textContent = appState.fanStatus;
-    document.getElementById('temp-value').textContent = appState.temperature.toFixed(1);
-    document.getElementById('temp-limit-display').textContent = appState.tempLimit.toFixed(1);
-    document.getElementById('power-value').textContent = appState.power.toFixed(1);
+    document.getElementById('voltage-value').textContent = formatReadingValue(appState.voltage);
+    document.getElementById('current-value').textContent = formatReadingValue(appState.current);
+    document.getElementById('temperature-value').textContent = formatReadingValue(appState.temperature);
+    document.getElementById('battery-value').textContent = formatReadingValue(appState.battery);
+    document.getElementById('temp-limit-value').textContent = formatReadingValue(appState.tempLimit);
+    document.getElementById('remaining-time').textContent = appState.remainingTime === null ? '--' : appState.remainingTime;
+    renderSocEstimate();
+    document.getElementById('fan-status').textContent = appState.fanStatus || '--';
+    document.getElementById('temp-value').textContent = formatReadingValue(appState.temperature);
+    document.getElementById('temp-limit-display').textContent = formatReadingValue(appState.tempLimit);
+    document.getElementById('power-value').textContent = formatReadingValue(appState.power);
+    renderQualityFlags();
     
     // Update footer
-    document.getElementById('current-temp-limit').textContent = appState.tempLimit.toFixed(1) + ' °C';
-    document.getElementById('footer-temp-limit').textContent = appState.tempLimit.toFixed(1) + ' °C';
+    document.getElementById('current-temp-limit').textContent = formatReadingValue(appState.tempLimit) + ' °C';
+    document.getElementById('footer-temp-limit').textContent = formatReadingValue(appState.tempLimit) + ' °C';
     
     // Update fan status color
     updateFanStatusColor();
+    renderControlPanel();
     
     // Update all gauges
     updateGauges();
@@ -456,9 +1758,8 @@ function updateDashboard() {
 // ====== UPDATE FAN STATUS COLOR ======
 function updateFanStatusColor() {
     const fanElement = document.getElementById('fan-status');
-    const tempValue = appState.temperature;
-    const tempLimit = appState.tempLimit;
-    const tempDiff = tempValue - tempLimit;
+    // null while either value is missing or flagged, which reads as "normal" below
+    const tempDiff = getTempMargin({ temperature: appState.temperature, temp_limit: appState.tempLimit });
     
     fanElement.className = '';
     
@@ -491,98 +1792,2767 @@ function updateFanStatusColor() {
 
 // ====== UPDATE GAUGES ======
 function updateGauges() {
-    // Voltage gauge (21V-29.4V range)
-    const voltagePercent = ((appState.voltage - 21) / (29.4 - 21)) * 100;
+    const profile = batteryProfile;
+    
+    // Voltage gauge (profile min-max voltage)
+    const voltagePercent = gaugePercent(appState.voltage, profile.minVoltage, profile.maxVoltage);
     const voltageGauge = document.getElementById('voltage-gauge');
     if (voltageGauge) {
-        voltageGauge.style.width = `${Math.min(Math.max(voltagePercent, 0), 100)}%`;
+        voltageGauge.style.width = `${voltagePercent}%`;
     }
     
-    // Current gauge (0A-10A range)
-    const currentPercent = (appState.current / 10) * 100;
+    // Current gauge (0A-max current)
+    const currentPercent = gaugePercent(appState.current, 0, profile.maxCurrent);
     const currentGauge = document.getElementById('current-gauge');
     if (currentGauge) {
-        currentGauge.style.width = `${Math.min(Math.max(currentPercent, 0), 100)}%`;
+        currentGauge.style.width = `${currentPercent}%`;
     }
     
-    // Temperature gauge (20°C-40°C range)
-    const tempPercent = ((appState.temperature - 20) / (40 - 20)) * 100;
+    // Temperature gauge (profile min temperature-critical temperature)
+    const tempPercent = gaugePercent(appState.temperature, profile.tempMin, profile.tempCritical);
     const tempGauge = document.getElementById('temperature-gauge');
     if (tempGauge) {
-        tempGauge.style.width = `${Math.min(Math.max(tempPercent, 0), 100)}%`;
+        tempGauge.style.width = `${tempPercent}%`;
     }
     
     // Battery gauge (0%-100% range)
     const batteryGauge = document.getElementById('battery-gauge');
     if (batteryGauge) {
-        batteryGauge.style.width = `${Math.min(Math.max(appState.battery, 0), 100)}%`;
+        batteryGauge.style.width = `${gaugePercent(appState.battery, 0, 100)}%`;
     }
     
-    // Temp Limit gauge (20°C-60°C range)
-    const tempLimitPercent = ((appState.tempLimit - 20) / (60 - 20)) * 100;
+    // Temp Limit gauge (profile min temperature-highest allowed limit)
+    const tempLimitPercent = gaugePercent(appState.tempLimit, profile.tempMin, profile.tempLimitMax);
     const tempLimitGauge = document.getElementById('temp-limit-gauge');
     if (tempLimitGauge) {
-        tempLimitGauge.style.width = `${Math.min(Math.max(tempLimitPercent, 0), 100)}%`;
+        tempLimitGauge.style.width = `${tempLimitPercent}%`;
     }
 }
 
-// ====== LOAD HISTORY ======
-async function loadHistory(page = 1) {
+function gaugePercent(value, min, max) {
+    if (value === null) return 0;
+    
+    const percent = ((value - min) / (max - min)) * 100;
+    return Math.min(Math.max(percent, 0), 100);
+}
+
+// ====== BATTERY PROFILE SETTINGS ======
+function loadBatteryProfile() {
     try {
-        console.log(`📚 Loading history page ${page}...`);
-        
-        const response = await fetchFromGoogleSheets('getHistory', {
-            page: page,
-            limit: CONFIG.historyPageSize
-        });
-        
-        if (response.status === 'success') {
-            appState.history.data = response.data;
-            appState.history.pagination = response.pagination;
-            renderHistoryTable();
-            updatePaginationControls();
-            updateTotalData();
-            
-            console.log(`✅ History loaded: ${response.data.length} records`);
-        } else {
-            throw new Error('Failed to load history: ' + response.message);
+        const saved = JSON.parse(localStorage.getItem('batteryDashboard.profile') || 'null');
+        if (saved && !validateBatteryProfile(Object.assign({}, DEFAULT_BATTERY_PROFILE, saved))) {
+            batteryProfile = Object.assign({}, DEFAULT_BATTERY_PROFILE, saved);
         }
     } catch (error) {
-        console.error('❌ Error loading history:', error);
-        showMessage('Failed to load history data: ' + error.message, 'error');
-        renderHistoryTable();
+        console.warn('⚠️ Ignoring corrupted battery profile:', error);
     }
+    
+    console.log(`🔋 Battery profile: ${describeBatteryProfile()}`);
+    renderRangeLabels();
+    renderProfileSummary();
+    restoreSocEstimate();
 }
 
-// ====== RENDER HISTORY TABLE ======
-function renderHistoryTable() {
-    const tbody = document.getElementById('history-table');
+// Returns an error message, or null when the profile is usable
+function validateBatteryProfile(profile) {
+    const numbers = ['cells', 'nominalVoltage', 'minVoltage', 'maxVoltage', 'maxCurrent',
+        'tempMin', 'tempWarning', 'tempCritical', 'tempLimitMax', 'capacityAh', 'socDriftThreshold'];
     
-    if (appState.history.data.length === 0) {
-        tbody.innerHTML = `
-            <tr class="no-data">
-                <td colspan="9">
-                    <i class="fas fa-database"></i>
-                    No historical data available
-                </td>
-            </tr>
-        `;
-        return;
+    if (!BATTERY_CHEMISTRIES[profile.chemistry]) return 'Unknown chemistry';
+    if (numbers.some(key => typeof profile[key] !== 'number' || isNaN(profile[key]))) return 'All fields must be numbers';
+    if (!Number.isInteger(profile.cells) || profile.cells < 1 || profile.cells > 32) return 'Cell count must be between 1 and 32';
+    if (!(profile.minVoltage < profile.nominalVoltage && profile.nominalVoltage < profile.maxVoltage)) {
+        return 'Voltages must satisfy min < nominal < max';
+    }
+    if (profile.maxCurrent <= 0) return 'Max current must be above 0 A';
+    if (!(profile.tempMin < profile.tempWarning && profile.tempWarning < profile.tempCritical && profile.tempCritical <= profile.tempLimitMax)) {
+        return 'Temperatures must satisfy min < warning < critical ≤ max limit';
     }
+    if (profile.capacityAh <= 0) return 'Capacity must be above 0 Ah';
+    if (profile.socDriftThreshold <= 0 || profile.socDriftThreshold > 100) return 'SoC drift threshold must be between 0 and 100 %';
     
-    tbody.innerHTML = appState.history.data.map(item => `
-        <tr>
-            <td>${item.date || '--'}</td>
-            <td>${item.time || '--'}</td>
-            <td>${(item.voltage || 0).toFixed(1)} V</td>
-            <td>${(item.current || 0).toFixed(1)} A</td>
-            <td>${(item.temperature || 0).toFixed(1)} °C</td>
-            <td>${(item.battery || 0).toFixed(1)} %</td>
-            <td><span class="fan-status ${(item.fan_status || 'OFF') === 'ON' ? 'fan-on' : 'fan-off'}">${item.fan_status || '--'}</span></td>
-            <td>${(item.temp_limit || 0).toFixed(1)} °C</td>
-            <td>${((item.voltage || 0) * (item.current || 0)).toFixed(1)} W</td>
-        </tr>
-    `).join('');
+    return null;
+}
+
+function describeBatteryProfile(profile = batteryProfile) {
+    const chemistry = BATTERY_CHEMISTRIES[profile.chemistry].label;
+    return `${profile.cells}S ${chemistry} · ${profile.nominalVoltage.toFixed(1)} V`;
+}
+
+function renderProfileSummary() {
+    const summary = document.getElementById('profile-summary');
+    if (summary) {
+        summary.textContent = describeBatteryProfile();
+    }
+}
+
+function renderRangeLabels() {
+    const profile = batteryProfile;
+    const ranges = {
+        'voltage-range': [profile.minVoltage, profile.maxVoltage, 'V'],
+        'current-range': [0, profile.maxCurrent, 'A'],
+        'temperature-range': [profile.tempMin, profile.tempCritical, '°C'],
+        'temp-limit-range': [profile.tempMin, profile.tempLimitMax, '°C']
+    };
+    
+    Object.entries(ranges).forEach(([id, [min, max, unit]]) => {
+        const labels = document.getElementById(id);
+        if (!labels) return;
+        
+        // Labels sit at 0%, 50% and 100% of the gauge
+        labels.innerHTML = [min, (min + max) / 2, max]
+            .map(value => `<span>${formatRangeValue(value)}${unit}</span>`)
+            .join('');
+    });
+}
+
+function formatRangeValue(value) {
+    const rounded = Math.round(value * 10) / 10;
+    return Number.isInteger(rounded) ? String(rounded) : rounded.toFixed(1);
+}
+
+function openProfileDialog() {
+    fillProfileForm(batteryProfile);
+    document.getElementById('profile-dialog').classList.add('open');
+}
+
+function closeProfileDialog() {
+    document.getElementById('profile-dialog').classList.remove('open');
+}
+
+function fillProfileForm(profile) {
+    document.getElementById('profile-chemistry').value = profile.chemistry;
+    document.getElementById('profile-cells').value = profile.cells;
+    document.getElementById('profile-nominal').value = profile.nominalVoltage;
+    document.getElementById('profile-min-voltage').value = profile.minVoltage;
+    document.getElementById('profile-max-voltage').value = profile.maxVoltage;
+    document.getElementById('profile-max-current').value = profile.maxCurrent;
+    document.getElementById('profile-temp-min').value = profile.tempMin;
+    document.getElementById('profile-temp-warning').value = profile.tempWarning;
+    document.getElementById('profile-temp-critical').value = profile.tempCritical;
+    document.getElementById('profile-temp-limit-max').value = profile.tempLimitMax;
+    document.getElementById('profile-capacity').value = profile.capacityAh;
+    document.getElementById('profile-soc-estimator').checked = profile.socEstimator;
+    document.getElementById('profile-soc-drift').value = profile.socDriftThreshold;
+}
+
+// Picking a chemistry or cell count fills in the matching pack voltages
+function fillProfileVoltages() {
+    const chemistry = BATTERY_CHEMISTRIES[document.getElementById('profile-chemistry').value];
+    const cells = parseInt(document.getElementById('profile-cells').value);
+    if (!chemistry.cellNominal || !(cells > 0)) return;
+    
+    const round2 = value => Math.round(value * 100) / 100;
+    document.getElementById('profile-nominal').value = round2(chemistry.cellNominal * cells);
+    document.getElementById('profile-min-voltage').value = round2(chemistry.cellMin * cells);
+    document.getElementById('profile-max-voltage').value = round2(chemistry.cellMax * cells);
+}
+
+function readProfileForm() {
+    const number = id => parseFloat(document.getElementById(id).value);
+    
+    return {
+        chemistry: document.getElementById('profile-chemistry').value,
+        cells: number('profile-cells'),
+        nominalVoltage: number('profile-nominal'),
+        minVoltage: number('profile-min-voltage'),
+        maxVoltage: number('profile-max-voltage'),
+        maxCurrent: number('profile-max-current'),
+        tempMin: number('profile-temp-min'),
+        tempWarning: number('profile-temp-warning'),
+        tempCritical: number('profile-temp-critical'),
+        tempLimitMax: number('profile-temp-limit-max'),
+        capacityAh: number('profile-capacity'),
+        socEstimator: document.getElementById('profile-soc-estimator').checked,
+        socDriftThreshold: number('profile-soc-drift')
+    };
+}
+
+function saveBatteryProfileFromForm() {
+    const profile = readProfileForm();
+    const error = validateBatteryProfile(profile);
+    if (error) {
+        showMessage(error, 'error');
+        return;
+    }
+    
+    // A different pack invalidates the running charge count
+    if (profile.chemistry !== batteryProfile.chemistry || profile.cells !== batteryProfile.cells ||
+        profile.capacityAh !== batteryProfile.capacityAh || !profile.socEstimator) {
+        resetSocEstimator();
+    }
+    
+    batteryProfile = profile;
+    localStorage.setItem('batteryDashboard.profile', JSON.stringify(profile));
+    
+    // Hand-tuned alarm rules are only replaced when the user agrees
+    const customRules = localStorage.getItem('batteryDashboard.alarmRules') !== null;
+    if (!customRules || confirm('Replace the current alarm thresholds with the defaults for this profile?')) {
+        applyProfileAlarmThresholds(customRules);
+    }
+    
+    renderRangeLabels();
+    renderProfileSummary();
+    updateGauges();
+    renderSocEstimate();
+    closeProfileDialog();
+    
+    console.log(`🔋 Battery profile saved: ${describeBatteryProfile()}`);
+    showMessage('Battery profile saved', 'success');
+}
+
+function applyProfileAlarmThresholds(persist) {
+    const defaults = getDefaultAlarmRules(batteryProfile);
+    
+    alarmState.rules = alarmState.rules.map(rule => {
+        const fallback = defaults.find(item => item.id === rule.id);
+        return fallback ? Object.assign(rule, {
+            warning: fallback.warning,
+            critical: fallback.critical,
+            hysteresis: fallback.hysteresis
+        }) : rule;
+    });
+    alarmState.pending = {};
+    
+    if (persist) {
+        saveAlarmRules();
+    }
+    renderAlarmRules();
+}
+
+// ====== SOC ESTIMATOR ======
+function updateSocEstimate(data) {
+    const profile = batteryProfile;
+    const at = Date.parse(data.timestamp) || Date.now();
+    const hasCurrent = appState.current !== null;
+    
+    // Stale or repeated readings say nothing new about the pack
+    if (!appState.espConnected || !hasCurrent || at === socEstimator.lastAt) {
+        updateRemainingTime();
+        return;
+    }
+    
+    const gap = socEstimator.lastAt ? at - socEstimator.lastAt : null;
+    const integrate = gap !== null && gap > 0 && gap <= SOC_MAX_GAP;
+    const current = appState.current;
+    
+    // Exponential moving average of the current (positive = discharge)
+    if (socEstimator.currentAvg === null || !integrate) {
+        socEstimator.currentAvg = current;
+    } else {
+        const alpha = 1 - Math.exp(-(gap / 1000) / SOC_CURRENT_TAU);
+        socEstimator.currentAvg += (current - socEstimator.currentAvg) * alpha;
+    }
+    
+    if (profile.socEstimator) {
+        const restCurrent = profile.capacityAh * 0.02;
+        if (Math.abs(current) > restCurrent) {
+            socEstimator.restSince = null;
+        } else if (socEstimator.restSince === null) {
+            socEstimator.restSince = at;
+        }
+        
+        const ocvSoc = appState.voltage !== null ? getOcvSoc(appState.voltage, batteryProfile) : null;
+        const resting = socEstimator.restSince !== null && at - socEstimator.restSince >= SOC_REST_MINUTES * 60000;
+        
+        if (socEstimator.soc === null) {
+            // Start from the resting voltage if we can trust it, otherwise from the device
+            socEstimator.soc = (resting || !(appState.battery > 0)) && ocvSoc !== null ? ocvSoc : appState.battery;
+            if (socEstimator.soc === null) {
+                socEstimator.lastAt = at;
+                updateRemainingTime();
+                return;
+            }
+        } else {
+            if (integrate) {
+                socEstimator.soc -= current * (gap / 3600000) / profile.capacityAh * 100;
+            }
+            // At rest the voltage is a good SoC reference, pull the counter towards it
+            if (resting && ocvSoc !== null) {
+                socEstimator.soc += (ocvSoc - socEstimator.soc) * 0.2;
+            }
+        }
+        socEstimator.soc = Math.min(Math.max(socEstimator.soc, 0), 100);
+        
+        const drift = appState.battery !== null && Math.abs(socEstimator.soc - appState.battery) > profile.socDriftThreshold;
+        if (drift && !socEstimator.drift) {
+            console.warn(`⚠️ SoC drift: estimate ${socEstimator.soc.toFixed(1)} %, device ${appState.battery.toFixed(1)} %`);
+        }
+        socEstimator.drift = drift;
+        
+        saveSocEstimate(at);
+    }
+    
+    socEstimator.lastAt = at;
+    updateRemainingTime();
+}
+
+// Remaining time from the smoothed current instead of a single sample
+function updateRemainingTime() {
+    const average = socEstimator.currentAvg;
+    const idle = batteryProfile.capacityAh * 0.01;
+    if (average === null || Math.abs(average) < idle) return;
+    
+    const soc = batteryProfile.socEstimator && socEstimator.soc !== null ? socEstimator.soc : appState.battery;
+    if (soc === null) return;
+    
+    // Discharging: time until empty, charging: time until full
+    const ampHours = average > 0
+        ? soc / 100 * batteryProfile.capacityAh
+        : (100 - soc) / 100 * batteryProfile.capacityAh;
+    
+    appState.remainingTime = Math.round(ampHours / Math.abs(average) * 10) / 10;
+}
+
+function resetSocEstimator() {
+    socEstimator.soc = null;
+    socEstimator.lastAt = null;
+    socEstimator.restSince = null;
+    socEstimator.currentAvg = null;
+    socEstimator.drift = false;
+}
+
+function saveSocEstimate(at) {
+    if (isDemoMode()) return;
+    
+    localStorage.setItem(`batteryDashboard.soc.${getActiveDeviceId()}`, JSON.stringify({
+        soc: socEstimator.soc,
+        at: at,
+        restSince: socEstimator.restSince
+    }));
+}
+
+// A recent estimate survives a page reload, an old one is worthless
+function restoreSocEstimate() {
+    if (!batteryProfile.socEstimator || isDemoMode()) return;
+    
+    try {
+        const saved = JSON.parse(localStorage.getItem(`batteryDashboard.soc.${getActiveDeviceId()}`) || 'null');
+        if (saved && typeof saved.soc === 'number' && Date.now() - saved.at <= SOC_MAX_GAP) {
+            socEstimator.soc = saved.soc;
+            socEstimator.lastAt = saved.at;
+            socEstimator.restSince = saved.restSince;
+        }
+    } catch (error) {
+        console.warn('⚠️ Ignoring corrupted SoC estimate:', error);
+    }
+}
+
+function renderSocEstimate() {
+    const note = document.getElementById('remaining-time-note');
+    if (note && socEstimator.currentAvg !== null) {
+        const average = socEstimator.currentAvg;
+        note.textContent = Math.abs(average) < batteryProfile.capacityAh * 0.01
+            ? 'Pack is idle'
+            : `${average > 0 ? 'Until empty' : 'Until full'} at ${Math.abs(average).toFixed(2)} A average`;
+    }
+    
+    const container = document.getElementById('soc-estimate');
+    if (!container) return;
+    
+    const enabled = batteryProfile.socEstimator && socEstimator.soc !== null;
+    container.hidden = !enabled;
+    if (!enabled) return;
+    
+    document.getElementById('soc-estimate-value').textContent = socEstimator.soc.toFixed(1);
+    container.classList.toggle('drift', socEstimator.drift);
+    container.title = socEstimator.drift
+        ? `Estimate differs from the device by more than ${batteryProfile.socDriftThreshold} %`
+        : 'Coulomb counting, corrected against the resting voltage';
+
+}
+
+// ====== ENERGY ACCOUNTING ======
+function emptyEnergyCounters() {
+    return { inWh: 0, outWh: 0, inAh: 0, outAh: 0 };
+}
+
+function updateEnergy(data) {
+    const at = Date.parse(data.timestamp) || Date.now();
+    const hasCurrent = appState.current !== null && appState.power !== null;
+    if (!appState.espConnected || !hasCurrent || at === energyState.lastAt) return;
+    
+    const gap = energyState.lastAt ? at - energyState.lastAt : null;
+    energyState.lastAt = at;
+    
+    trackEnergySession(at);
+    
+    // Long gaps are not integrated, we don't know what happened in between
+    if (gap !== null && gap > 0 && gap <= SOC_MAX_GAP) {
+        const hours = gap / 3600000;
+        const wh = Math.abs(appState.power) * hours;
+        const ah = Math.abs(appState.current) * hours;
+        const key = getEnergyDayKey(at);
+        const day = energyState.days[key] || (energyState.days[key] = emptyEnergyCounters());
+        
+        // Positive current is discharge (energy out), negative is charging (energy in)
+        [energyState.totals, day].forEach(counters => {
+            if (appState.current > 0) {
+                counters.outWh += wh;
+                counters.outAh += ah;
+            } else {
+                counters.inWh += wh;
+                counters.inAh += ah;
+            }
+        });
+        
+        const session = energyState.session;
+        if (session && session.otherSince === null) {
+            session.wh += wh;
+            session.ah += ah;
+        }
+    }
+    
+    if (at - energyState.savedAt > 30000) {
+        saveEnergyState();
+    }
+    renderEnergySection();
+}
+
+function getEnergyDayKey(timestamp) {
+    return toDateTimeLocal(timestamp).slice(0, 10);
+}
+
+// Sessions start when the pack leaves rest and end once it has been resting
+// (or flowing the other way) for a minute, so short blips don't split them
+function trackEnergySession(at) {
+    const threshold = batteryProfile.capacityAh * 0.02;
+    const mode = appState.current > threshold ? 'discharge' : appState.current < -threshold ? 'charge' : 'idle';
+    const soc = batteryProfile.socEstimator && socEstimator.soc !== null ? socEstimator.soc : appState.battery;
+    const session = energyState.session;
+    
+    // Sessions are bounded by SoC, readings with a flagged battery value don't move them
+    if (soc === null) return;
+    
+    if (session) {
+        if (mode === session.type) {
+            session.end = at;
+            session.endSoc = soc;
+            session.minSoc = Math.min(session.minSoc, soc);
+            session.otherSince = null;
+            return;
+        }
+        
+        if (session.otherSince === null) {
+            session.otherSince = at;
+        }
+        if (at - session.otherSince < ENERGY_SESSION_END_SECONDS * 1000) return;
+        
+        closeEnergySession();
+    }
+    
+    if (mode !== 'idle') {
+        energyState.session = {
+            type: mode,
+            start: at,
+            end: at,
+            wh: 0,
+            ah: 0,
+            startSoc: soc,
+            endSoc: soc,
+            minSoc: soc,
+            otherSince: null
+        };
+        console.log(`🔋 ${mode} session started`);
+    }
+}
+
+function closeEnergySession() {
+    const session = energyState.session;
+    energyState.session = null;
+    if (!session || session.end === session.start) return;
+    
+    energyState.sessions.unshift({
+        type: session.type,
+        start: session.start,
+        end: session.end,
+        wh: Math.round(session.wh * 100) / 100,
+        ah: Math.round(session.ah * 1000) / 1000,
+        startSoc: session.startSoc,
+        endSoc: session.endSoc,
+        dod: Math.round((100 - session.minSoc) * 10) / 10
+    });
+    energyState.sessions = energyState.sessions.slice(0, ENERGY_MAX_SESSIONS);
+    
+    console.log(`🔋 ${session.type} session ended: ${session.wh.toFixed(1)} Wh`);
+    saveEnergyState();
+}
+
+function getEnergyPeriod(from) {
+    const fromKey = getEnergyDayKey(from);
+    
+    return Object.entries(energyState.days).reduce((sum, [key, day]) => {
+        if (key >= fromKey) {
+            Object.keys(sum).forEach(field => sum[field] += day[field]);
+        }
+        return sum;
+    }, emptyEnergyCounters());
+}
+
+function getEnergySummary(now = Date.now()) {
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
+    
+    // Weeks start on Monday
+    const week = new Date(today);
+    week.setDate(week.getDate() - (week.getDay() + 6) % 7);
+    
+    const month = new Date(today);
+    month.setDate(1);
+    
+    return {
+        total: energyState.totals,
+        today: getEnergyPeriod(today.getTime()),
+        week: getEnergyPeriod(week.getTime()),
+        month: getEnergyPeriod(month.getTime())
+    };
+}
+
+function loadEnergyState() {
+    energyState.totals = emptyEnergyCounters();
+    energyState.days = {};
+    energyState.sessions = [];
+    energyState.session = null;
+    energyState.lastAt = null;
+    
+    try {
+        const saved = isDemoMode() ? null : JSON.parse(localStorage.getItem(`batteryDashboard.energy.${getActiveDeviceId()}`) || 'null');
+        if (saved) {
+            energyState.totals = Object.assign(emptyEnergyCounters(), saved.totals);
+            energyState.days = saved.days || {};
+            energyState.sessions = saved.sessions || [];
+            
+            // An open session can be resumed after a quick reload
+            if (saved.session && Date.now() - saved.lastAt <= SOC_MAX_GAP) {
+                energyState.session = saved.session;
+                energyState.lastAt = saved.lastAt;
+            } else if (saved.session) {
+                energyState.session = saved.session;
+                closeEnergySession();
+            }
+        }
+    } catch (error) {
+        console.warn('⚠️ Ignoring corrupted energy counters:', error);
+    }
+    
+    renderEnergySection();
+}
+
+function saveEnergyState(device = getActiveDeviceId()) {
+    if (isDemoMode()) return;
+    
+    const keys = Object.keys(energyState.days).sort();
+    keys.slice(0, Math.max(keys.length - ENERGY_MAX_DAYS, 0)).forEach(key => delete energyState.days[key]);
+    
+    energyState.savedAt = Date.now();
+    localStorage.setItem(`batteryDashboard.energy.${device}`, JSON.stringify({
+        totals: energyState.totals,
+        days: energyState.days,
+        sessions: energyState.sessions,
+        session: energyState.session,
+        lastAt: energyState.lastAt
+    }));
+}
+
+function resetEnergyCounters() {
+    if (!confirm('Reset all energy counters and sessions for this device?')) return;
+    
+    if (!isDemoMode()) {
+        localStorage.removeItem(`batteryDashboard.energy.${getActiveDeviceId()}`);
+    }
+    loadEnergyState();
+    showMessage('Energy counters reset', 'info');
+}
+
+function formatEnergy(wh) {
+    return wh >= 1000 ? `${(wh / 1000).toFixed(2)} kWh` : `${wh.toFixed(1)} Wh`;
+}
+
+function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    const hours = Math.floor(minutes / 60);
+    return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+function renderEnergySection() {
+    const summary = getEnergySummary();
+    
+    ['total', 'today', 'week', 'month'].forEach(period => {
+        const counters = summary[period];
+        const inElement = document.getElementById(`energy-${period}-in`);
+        const outElement = document.getElementById(`energy-${period}-out`);
+        if (inElement) inElement.textContent = formatEnergy(counters.inWh);
+        if (outElement) outElement.textContent = formatEnergy(counters.outWh);
+    });
+    
+    const throughput = document.getElementById('energy-throughput');
+    if (throughput) {
+        const total = summary.total;
+        throughput.textContent = `${(total.inAh + total.outAh).toFixed(2)} Ah`;
+    }
+    
+    renderEnergySessions();
+}
+
+function renderEnergySessions() {
+    const tbody = document.getElementById('energy-sessions');
+    if (!tbody) return;
+    
+    const sessions = energyState.session
+        ? [Object.assign({ open: true, dod: 100 - energyState.session.minSoc }, energyState.session)].concat(energyState.sessions)
+        : energyState.sessions;
+    
+    if (sessions.length === 0) {
+        tbody.innerHTML = `
+            <tr class="no-data">
+                <td colspan="7">No charge or discharge sessions recorded</td>
+            </tr>
+        `;
+        return;
+    }
+    
+    tbody.innerHTML = sessions.slice(0, 50).map(session => `
+        <tr>
+            <td><span class="session-type ${session.type}">${session.type.toUpperCase()}</span></td>
+            <td>${new Date(session.start).toLocaleString('en-US')}</td>
+            <td>${session.open ? 'In progress' : new Date(session.end).toLocaleString('en-US')}</td>
+            <td>${formatDuration(session.end - session.start)}</td>
+            <td>${formatEnergy(session.wh)} / ${session.ah.toFixed(2)} Ah</td>
+            <td>${session.startSoc.toFixed(0)} % → ${session.endSoc.toFixed(0)} %</td>
+            <td>${session.dod.toFixed(1)} %</td>
+        </tr>
+    `).join('');
+}
+
+// ====== HEALTH ANALYTICS ======
+async function analyzeHealth() {
+    if (healthState.running) return;
+    
+    const weeks = parseInt(document.getElementById('health-weeks').value);
+    const filters = { from: Date.now() - weeks * 7 * 86400000 };
+    const status = document.getElementById('health-status');
+    
+    healthState.running = true;
+    document.getElementById('health-analyze').disabled = true;
+    status.textContent = 'Loading history...';
+    
+    try {
+        const result = await fetchAllHistoryRows(buildHistoryFilterParams(filters), (page, totalPages) => {
+            status.textContent = `Loading page ${page} of ${totalPages}...`;
+        });
+        const rows = result.filtered ? result.rows : applyHistoryFilters(result.rows, filters);
+        
+        healthState.result = computeHealth(rows, batteryProfile);
+        renderHealth(healthState.result);
+        
+        status.textContent = `Analysed ${rows.length} readings from the last ${weeks} weeks`;
+        if (result.truncated) {
+            // Only the newest pages arrive, so the trend is shorter than the range asked for
+            const oldest = rows.reduce((min, row) => {
+                const time = getRowTime(row);
+                return time !== null && time < min ? time : min;
+            }, Infinity);
+            const since = oldest !== Infinity ? ` since ${new Date(oldest).toLocaleDateString('en-US')}` : '';
+            status.textContent += `. Not every reading could be loaded, the figures only cover the readings${since}`;
+            showMessage('Health analysis incomplete: ' + describeTruncation(result), 'error');
+        }
+        console.log('🩺 Health analysis:', healthState.result);
+    } catch (error) {
+        console.error('❌ Health analysis failed:', error);
+        status.textContent = '';
+        showMessage('Health analysis failed: ' + error.message, 'error');
+    } finally {
+        healthState.running = false;
+        document.getElementById('health-analyze').disabled = false;
+    }
+}
+
+function renderHealth(result) {
+    const soh = document.getElementById('health-soh');
+    soh.textContent = result.soh !== null ? `${result.soh.toFixed(0)} %` : '--';
+    soh.className = 'health-value ' + (result.soh === null ? '' : result.soh >= 90 ? 'good' : result.soh >= 80 ? 'aging' : 'replace');
+    
+    document.getElementById('health-cycles').textContent = `${result.cycles.toFixed(1)} / ${result.cycleLife}`;
+    document.getElementById('health-resistance').textContent = result.resistance !== null
+        ? `${result.resistance.toFixed(0)} mΩ`
+        : '--';
+    document.getElementById('health-baseline').textContent = result.baseline !== null
+        ? `Baseline ${result.baseline.toFixed(0)} mΩ`
+        : 'No load steps found';
+    
+    renderHealthCharts(result);
+}
+
+function renderHealthCharts(result) {
+    const axis = {
+        grid: { color: 'rgba(255, 255, 255, 0.1)' },
+        ticks: { color: '#b3cde0' }
+    };
+    const legend = { display: true, labels: { color: '#b3cde0' } };
+    
+    if (healthState.sohChart) healthState.sohChart.destroy();
+    if (healthState.dodChart) healthState.dodChart.destroy();
+    
+    healthState.sohChart = new Chart(document.getElementById('health-trend-chart').getContext('2d'), {
+        type: 'line',
+        data: {
+            labels: result.trend.map(point => new Date(point.week).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })),
+            datasets: [{
+                label: 'State of Health (%)',
+                data: result.trend.map(point => Math.round(point.soh * 10) / 10),
+                borderColor: '#00cc66',
+                backgroundColor: 'rgba(0, 204, 102, 0.1)',
+                borderWidth: 2,
+                fill: true,
+                tension: 0.3,
+                yAxisID: 'y'
+            }, {
+                label: 'Internal Resistance (mΩ)',
+                data: result.trend.map(point => point.resistance !== null ? Math.round(point.resistance * 10) / 10 : null),
+                borderColor: '#ff9900',
+                borderWidth: 2,
+                tension: 0.3,
+                spanGaps: true,
+                yAxisID: 'resistance'
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: { legend: legend },
+            scales: {
+                x: axis,
+                y: Object.assign({ min: 0, max: 100 }, axis),
+                resistance: Object.assign({ position: 'right' }, axis, { grid: { drawOnChartArea: false } })
+            }
+        }
+    });
+    
+    healthState.dodChart = new Chart(document.getElementById('health-dod-chart').getContext('2d'), {
+        type: 'bar',
+        data: {
+            labels: result.dodBins.map((count, index) => `${index * 10}-${index * 10 + 10}%`),
+            datasets: [{
+                label: 'Discharges by depth',
+                data: result.dodBins,
+                backgroundColor: 'rgba(138, 43, 226, 0.6)',
+                borderColor: '#8a2be2',
+                borderWidth: 1
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: { legend: legend },
+            scales: {
+                x: axis,
+                y: Object.assign({ beginAtZero: true }, axis, { ticks: { color: '#b3cde0', precision: 0 } })
+            }
+        }
+    });
+}
+
+function resetHealthPanel() {
+    healthState.result = null;
+    if (healthState.sohChart) healthState.sohChart.destroy();
+    if (healthState.dodChart) healthState.dodChart.destroy();
+    healthState.sohChart = healthState.dodChart = null;
+    
+    ['health-soh', 'health-cycles', 'health-resistance'].forEach(id => {
+        document.getElementById(id).textContent = '--';
+    });
+    document.getElementById('health-baseline').textContent = '';
+    document.getElementById('health-status').textContent = 'Run the analysis to evaluate this pack';
+}
+
+// ====== THERMAL MANAGEMENT ======
+async function analyzeThermal() {
+    if (thermalState.running) return;
+    
+    const hours = parseInt(document.getElementById('thermal-hours').value);
+    const range = { from: Date.now() - hours * 3600000, to: Date.now() };
+    const status = document.getElementById('thermal-status');
+    
+    thermalState.running = true;
+    document.getElementById('thermal-analyze').disabled = true;
+    status.textContent = 'Loading history...';
+    
+    try {
+        const thermal = createThermal({ from: range.from, to: range.to, maxGap: CONFIG.espTimeout });
+        const walk = await walkHistoryByDay(range, rows => thermal.add(rows), (day, days, page, totalPages) => {
+            status.textContent = days > 1
+                ? `Loading day ${day} of ${days}, page ${page} of ${totalPages}...`
+                : `Loading page ${page} of ${totalPages}...`;
+        });
+        
+        thermalState.result = Object.assign(thermal.finish(), { truncated: walk.truncated });
+        renderThermal(thermalState.result);
+        
+        status.textContent = walk.readings > 0
+            ? `Analysed ${thermalState.result.readings} readings from the last ${hours >= 48 ? `${hours / 24} days` : `${hours} hours`}`
+            : 'No readings in this period';
+        if (walk.truncated) {
+            status.textContent += '. Not every reading could be loaded, the figures only cover what was';
+            showMessage('Thermal analysis incomplete: not every reading could be loaded', 'error');
+        }
+        console.log('🌡️ Thermal analysis:', thermalState.result);
+    } catch (error) {
+        console.error('❌ Thermal analysis failed:', error);
+        status.textContent = '';
+        showMessage('Thermal analysis failed: ' + error.message, 'error');
+    } finally {
+        thermalState.running = false;
+        document.getElementById('thermal-analyze').disabled = false;
+    }
+}
+
+function renderThermal(result) {
+    const percent = value => value === null ? '--' : `${value.toFixed(1)} %`;
+    const plural = (count, word, many = word + 's') => `${count} ${count === 1 ? word : many}`;
+    // Fast loggers cool within a minute, formatDuration would call that 0m
+    const duration = ms => ms < 60000 ? `${Math.round(ms / 1000)}s` : formatDuration(ms);
+    
+    document.getElementById('thermal-duty').textContent = percent(result.fanDuty);
+    
+    document.getElementById('thermal-above').textContent = formatDuration(result.aboveLimitMs);
+    document.getElementById('thermal-above-detail').textContent = result.aboveEpisodes > 0
+        ? `${plural(result.aboveEpisodes, 'episode')}, longest ${formatDuration(result.longestAboveMs)}`
+        : 'Never above the limit';
+    
+    document.getElementById('thermal-cool').textContent = result.timeToCool.median !== null
+        ? duration(result.timeToCool.median)
+        : '--';
+    document.getElementById('thermal-cool-detail').textContent = result.activations > 0
+        ? `${result.cooled} of ${plural(result.activations, 'activation')} cooled` +
+            (result.timeToCool.max !== null ? `, worst ${duration(result.timeToCool.max)}` : '') +
+            (result.coolingRate !== null ? `, ${result.coolingRate.toFixed(2)} °C/min` : '')
+        : 'The fan never came on above the limit';
+    
+    document.getElementById('thermal-switching').textContent = result.switchesPerHour !== null
+        ? `${result.switchesPerHour.toFixed(1)} / h`
+        : '--';
+    document.getElementById('thermal-cycle-detail').textContent = result.onCycle.count > 0
+        ? `${plural(result.switches, 'switch', 'switches')}, ON for ${duration(result.onCycle.avg)} on average`
+        : plural(result.switches, 'switch', 'switches');
+    
+    document.getElementById('thermal-assessment').innerHTML = assessThermalLimit(result, batteryProfile)
+        .map(item => `<li class="${item.level}">${item.text}</li>`)
+        .join('');
+    
+    document.getElementById('thermal-days').innerHTML = result.days.slice().reverse().map(day => `<tr>
+            <td>${formatReportTime(day.start, 'day')}</td>
+            <td>${percent(day.fanDuty)}</td>
+            <td>${day.switches}</td>
+            <td>${day.activations}</td>
+            <td>${day.cooled}</td>
+            <td>${day.readings > 0 ? formatDuration(day.aboveLimitMs) : '--'}</td>
+            <td>${day.readings > 0 ? formatDuration(day.longestAboveMs) : '--'}</td>
+            <td>${formatReadingValue(day.temperature.max)} °C</td>
+            <td>${formatReadingValue(day.tempLimit)} °C</td>
+        </tr>`).join('');
+    
+    document.getElementById('thermal-view').hidden = false;
+    renderThermalDutyChart(result);
+}
+
+// Rules of thumb for the configured limit, judged against what the fan actually did
+function assessThermalLimit(result, profile) {
+    const findings = [];
+    const days = result.days.filter(day => day.tempLimit !== null);
+    const limit = days.length > 0 ? days[days.length - 1].tempLimit : null;
+    const maxTemperature = result.days.reduce((max, day) => day.temperature.max !== null ? Math.max(max, day.temperature.max) : max, -Infinity);
+    const uncooled = result.activations - result.cooled;
+    
+    if (result.readings === 0) return findings;
+    
+    if (result.fanDuty === null) {
+        findings.push({ level: 'warning', text: 'The readings carry no fan state, duty cycle and switching cannot be judged' });
+    }
+    if (limit !== null && limit >= profile.tempWarning) {
+        findings.push({ level: 'warning', text: `The limit of ${limit.toFixed(1)} °C is at or above the ${profile.tempWarning} °C warning level of the battery profile, the fan only starts once the pack is already hot` });
+    }
+    if (result.fanDuty !== null && result.fanDuty > 80) {
+        findings.push({ level: 'warning', text: `The fan runs ${result.fanDuty.toFixed(0)} % of the time. Either the limit is too low for this load or the cooling is undersized` });
+    }
+    if (result.switchesPerHour !== null && result.switchesPerHour > THERMAL_MAX_SWITCHES_PER_HOUR) {
+        findings.push({ level: 'warning', text: `The fan switches ${result.switchesPerHour.toFixed(1)} times an hour. Short cycling wears the fan, a slightly higher limit or more hysteresis would calm it down` });
+    }
+    if (uncooled > 0 && uncooled >= result.activations / 4) {
+        findings.push({ level: 'warning', text: `${uncooled} of ${result.activations} fan activations never brought the pack back under the limit, the fan cannot keep up` });
+    }
+    if (result.longestAboveMs > 30 * 60000) {
+        findings.push({ level: 'warning', text: `The pack stayed above the limit for up to ${formatDuration(result.longestAboveMs)} in one go` });
+    }
+    if (result.fanDuty === 0 && limit !== null && maxTemperature < limit) {
+        findings.push({ level: 'good', text: `The pack peaked at ${maxTemperature.toFixed(1)} °C and never reached the ${limit.toFixed(1)} °C limit, the fan was not needed` });
+    }
+    if (findings.length === 0) {
+        findings.push({
+            level: 'good',
+            text: result.timeToCool.median !== null
+                ? `The limit looks sensible: the fan brings the pack back under it in ${formatDuration(result.timeToCool.median)} (median) without short cycling`
+                : 'The limit looks sensible: the fan runs now and then without short cycling'
+        });
+    }
+    
+    return findings;
+}
+
+function renderThermalDutyChart(result) {
+    const axis = {
+        grid: { color: 'rgba(255, 255, 255, 0.1)' },
+        ticks: { color: '#b3cde0' }
+    };
+    const legend = { display: true, labels: { color: '#b3cde0' } };
+    const labelFormat = result.hours.length > 24
+        ? { month: 'short', day: 'numeric', hour: '2-digit' }
+        : { hour: '2-digit', minute: '2-digit' };
+    
+    if (thermalState.dutyChart) thermalState.dutyChart.destroy();
+    
+    thermalState.dutyChart = new Chart(document.getElementById('thermal-duty-chart').getContext('2d'), {
+        type: 'bar',
+        data: {
+            labels: result.hours.map(hour => new Date(hour.start).toLocaleString('en-US', labelFormat)),
+            datasets: [{
+                label: 'Fan Duty per Hour (%)',
+                data: result.hours.map(hour => hour.fanDuty === null ? null : Math.round(hour.fanDuty * 10) / 10),
+                backgroundColor: 'rgba(51, 204, 51, 0.5)',
+                borderColor: '#33cc33',
+                borderWidth: 1,
+                yAxisID: 'y'
+            }, {
+                type: 'line',
+                label: 'Above Limit (min)',
+                data: result.hours.map(hour => Math.round(hour.aboveLimitMs / 6000) / 10),
+                borderColor: '#ff3333',
+                borderWidth: 2,
+                pointRadius: 0,
+                tension: 0.3,
+                yAxisID: 'minutes'
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: { legend: legend },
+            scales: {
+                x: axis,
+                y: Object.assign({ min: 0, max: 100 }, axis),
+                minutes: Object.assign({ position: 'right', min: 0, max: 60 }, axis, { grid: { drawOnChartArea: false } })
+            }
+        }
+    });
+}
+
+// Temperature minus limit of the live readings, red above the limit and green below
+function renderThermalMarginChart() {
+    const data = appState.chartData;
+    
+    if (thermalState.marginChart) {
+        thermalState.marginChart.data.labels = data.labels.slice();
+        thermalState.marginChart.data.datasets[0].data = data.comparison.slice();
+        thermalState.marginChart.update('none');
+        return;
+    }
+    
+    const axis = {
+        grid: { color: 'rgba(255, 255, 255, 0.1)' },
+        ticks: { color: '#b3cde0' }
+    };
+    
+    thermalState.marginChart = new Chart(document.getElementById('thermal-margin-chart').getContext('2d'), {
+        type: 'line',
+        data: {
+            labels: data.labels.slice(),
+            datasets: [{
+                label: 'Temp − Limit (°C)',
+                data: data.comparison.slice(),
+                borderColor: '#ff66b2',
+                borderWidth: 2,
+                fill: { target: 'origin', above: 'rgba(255, 51, 51, 0.3)', below: 'rgba(0, 204, 102, 0.2)' },
+                tension: 0.3,
+                pointRadius: 0
+            }]
+        },
+        options: {
+            animation: false,
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: { legend: { display: true, labels: { color: '#b3cde0' } } },
+            scales: { x: axis, y: axis }
+        }
+    });
+}
+
+// Follows fan switches and the time above the limit as readings come in
+function updateThermalLive() {
+    const live = thermalState.live;
+    const now = Date.now();
+    const fan = appState.fanStatus === 'ON' || appState.fanStatus === 'OFF' ? appState.fanStatus : null;
+    
+    if (fan && fan !== live.fan) {
+        if (live.fan) live.switches++;
+        live.fan = fan;
+        live.fanSince = now;
+    }
+    
+    const margin = typeof appState.temperature === 'number' && typeof appState.tempLimit === 'number'
+        ? appState.temperature - appState.tempLimit
+        : null;
+    if (margin !== null && margin > 0) {
+        live.aboveSince = live.aboveSince || now;
+    } else if (margin !== null) {
+        live.aboveSince = null;
+    }
+    
+    document.getElementById('thermal-live-fan').textContent = live.fan || '--';
+    document.getElementById('thermal-live-fan-since').textContent = live.fan
+        ? `For ${formatDuration(now - live.fanSince)}`
+        : '';
+    
+    const marginElement = document.getElementById('thermal-live-margin');
+    marginElement.textContent = margin !== null ? `${margin > 0 ? '+' : ''}${margin.toFixed(1)} °C` : '--';
+    marginElement.className = 'health-value ' + (margin === null ? '' : margin > 0 ? 'replace' : margin > -2 ? 'aging' : 'good');
+    
+    document.getElementById('thermal-live-above').textContent = live.aboveSince
+        ? formatDuration(now - live.aboveSince)
+        : margin !== null ? 'Below limit' : '--';
+    document.getElementById('thermal-live-switches').textContent = live.switches;
+    
+    renderThermalMarginChart();
+}
+
+function resetThermalPanel() {
+    thermalState.result = null;
+    thermalState.live = { fan: null, fanSince: null, aboveSince: null, switches: 0 };
+    if (thermalState.dutyChart) thermalState.dutyChart.destroy();
+    if (thermalState.marginChart) thermalState.marginChart.destroy();
+    thermalState.dutyChart = thermalState.marginChart = null;
+    
+    ['thermal-duty', 'thermal-above', 'thermal-cool', 'thermal-switching', 'thermal-live-fan', 'thermal-live-margin', 'thermal-live-above'].forEach(id => {
+        document.getElementById(id).textContent = '--';
+    });
+    ['thermal-above-detail', 'thermal-cool-detail', 'thermal-cycle-detail', 'thermal-live-fan-since'].forEach(id => {
+        document.getElementById(id).textContent = '';
+    });
+    document.getElementById('thermal-live-margin').className = 'health-value';
+    document.getElementById('thermal-live-switches').textContent = '0';
+    document.getElementById('thermal-view').hidden = true;
+    document.getElementById('thermal-status').textContent = 'Run the analysis to see how the fan copes with the limit';
+}
+
+// ====== PERIODIC REPORTS ======
+async function generateReport() {
+    if (reportState.running) return;
+    
+    const type = document.getElementById('report-period').value;
+    const date = document.getElementById('report-date').value;
+    const period = getReportPeriod(type, date ? new Date(`${date}T00:00`) : Date.now());
+    const status = document.getElementById('report-status');
+    
+    if (period.from > Date.now()) {
+        showMessage('That period has not started yet', 'error');
+        return;
+    }
+    
+    reportState.running = true;
+    document.getElementById('report-generate').disabled = true;
+    status.textContent = 'Loading history...';
+    
+    try {
+        // A day at a time, so a month of 2 s readings is neither cut off nor held in memory
+        const report = createReport(period, { maxGap: CONFIG.espTimeout });
+        const walk = await walkHistoryByDay(period, rows => report.add(rows), (day, days, page, totalPages) => {
+            status.textContent = days > 1
+                ? `Loading day ${day} of ${days}, page ${page} of ${totalPages}...`
+                : `Loading page ${page} of ${totalPages}...`;
+        });
+        
+        reportState.result = Object.assign(report.finish(), { truncated: walk.truncated });
+        reportState.device = getActiveDeviceId();
+        reportState.generatedAt = Date.now();
+        renderReport(reportState.result);
+        
+        status.textContent = walk.readings > 0
+            ? `Report built from ${walk.readings} readings`
+            : 'No readings in this period';
+        if (walk.truncated) {
+            status.textContent += '. Not every reading could be loaded, the figures are incomplete';
+            showMessage('Report incomplete: not every reading could be loaded', 'error');
+        }
+        console.log('📄 Report:', reportState.result);
+    } catch (error) {
+        console.error('❌ Report failed:', error);
+        status.textContent = '';
+        showMessage('Report failed: ' + error.message, 'error');
+    } finally {
+        reportState.running = false;
+        document.getElementById('report-generate').disabled = false;
+    }
+}
+
+function renderReport(result) {
+    const device = fleet.devices.find(item => item.id === reportState.device);
+    const percent = value => value === null ? '--' : `${value.toFixed(1)} %`;
+    const measure = (value, unit) => value === null ? '--' : `${formatReadingValue(value)} ${unit}`;
+    const range = `${formatReportTime(result.period.from, 'day')} – ${formatReportTime(result.period.to - 1, 'day')}`;
+    
+    document.getElementById('report-title').textContent = `${REPORT_TITLES[result.period.type]} Battery Report`;
+    document.getElementById('report-subtitle').textContent =
+        `${device ? device.name : reportState.device} · ${result.period.type === 'day' ? formatReportTime(result.period.from, 'day') : range} · generated ${new Date(reportState.generatedAt).toLocaleString()}` +
+        (result.truncated ? ' · incomplete, not every reading could be loaded' : '');
+    
+    document.getElementById('report-availability').textContent = percent(result.availability);
+    document.getElementById('report-outages').textContent = result.outages > 0
+        ? `${result.outages} outage${result.outages === 1 ? '' : 's'}, longest ${formatDuration(result.longestOutage)}`
+        : 'No outages';
+    document.getElementById('report-above-limit').textContent = formatDuration(result.aboveLimitMs);
+    document.getElementById('report-fan-duty').textContent = percent(result.fanDuty);
+    document.getElementById('report-readings').textContent = result.readings;
+    document.getElementById('report-interval').textContent = result.interval
+        ? `Every ${Math.round(result.interval / 1000)}s`
+        : '';
+    
+    document.getElementById('report-summary').innerHTML = Object.keys(ALARM_METRICS).map(key => {
+        const metric = result.metrics[key];
+        const unit = ALARM_METRICS[key].unit;
+        return `<tr>
+            <td>${ALARM_METRICS[key].label}</td>
+            <td>${measure(metric.min, unit)}</td>
+            <td>${measure(metric.avg, unit)}</td>
+            <td>${measure(metric.max, unit)}</td>
+        </tr>`;
+    }).join('');
+    
+    document.getElementById('report-breakdown-title').textContent = result.period.bucket === 'hour' ? 'By hour' : 'By day';
+    document.getElementById('report-breakdown').innerHTML = result.buckets.map(bucket => {
+        const voltage = bucket.metrics.voltage;
+        return `<tr>
+            <td>${formatReportTime(bucket.start, result.period.bucket)}</td>
+            <td>${bucket.readings}</td>
+            <td>${voltage.count > 0 ? `${voltage.min.toFixed(1)}–${voltage.max.toFixed(1)} V` : '--'}</td>
+            <td>${measure(bucket.metrics.temperature.max, '°C')}</td>
+            <td>${bucket.readings > 0 ? formatDuration(bucket.aboveLimitMs) : '--'}</td>
+            <td>${percent(bucket.fanDuty)}</td>
+            <td>${percent(bucket.availability)}</td>
+        </tr>`;
+    }).join('');
+    
+    document.getElementById('report-view').hidden = false;
+    document.getElementById('report-print').disabled = false;
+    renderReportCharts(result, false);
+}
+
+function formatReportTime(time, bucket) {
+    const date = new Date(time);
+    return bucket === 'hour'
+        ? date.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' })
+        : date.toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+// Paper gets dark text and no animation, the charts are copied into images while printing
+function renderReportCharts(result, print) {
+    const color = print ? '#333333' : '#b3cde0';
+    const axis = {
+        grid: { color: print ? 'rgba(0, 0, 0, 0.1)' : 'rgba(255, 255, 255, 0.1)' },
+        ticks: { color: color }
+    };
+    const legend = { display: true, labels: { color: color } };
+    const labels = result.buckets.map(bucket => result.period.bucket === 'hour'
+        ? formatReportTime(bucket.start, 'hour')
+        : new Date(bucket.start).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }));
+    const series = (metric, field) => result.buckets.map(bucket => {
+        const value = bucket.metrics[metric][field];
+        return value === null ? null : Math.round(value * 10) / 10;
+    });
+    
+    if (reportState.tempChart) reportState.tempChart.destroy();
+    if (reportState.dutyChart) reportState.dutyChart.destroy();
+    
+    reportState.tempChart = new Chart(document.getElementById('report-temp-chart').getContext('2d'), {
+        type: 'line',
+        data: {
+            labels: labels,
+            datasets: [{
+                label: 'Max Temperature (°C)',
+                data: series('temperature', 'max'),
+                borderColor: '#ff3333',
+                borderWidth: 2,
+                tension: 0.3
+            }, {
+                label: 'Avg Temperature (°C)',
+                data: series('temperature', 'avg'),
+                borderColor: '#ff9900',
+                borderWidth: 2,
+                tension: 0.3
+            }, {
+                label: 'Temp Limit (°C)',
+                data: series('temp_limit', 'max'),
+                borderColor: '#ff66b2',
+                borderWidth: 2,
+                borderDash: [6, 4],
+                pointRadius: 0
+            }]
+        },
+        options: {
+            animation: false,
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: { legend: legend },
+            scales: { x: axis, y: axis }
+        }
+    });
+    
+    reportState.dutyChart = new Chart(document.getElementById('report-duty-chart').getContext('2d'), {
+        type: 'bar',
+        data: {
+            labels: labels,
+            datasets: [{
+                label: 'ESP32 Availability (%)',
+                data: result.buckets.map(bucket => bucket.availability === null ? null : Math.round(bucket.availability * 10) / 10),
+                backgroundColor: 'rgba(0, 204, 102, 0.6)',
+                borderColor: '#00cc66',
+                borderWidth: 1
+            }, {
+                label: 'Fan Duty (%)',
+                data: result.buckets.map(bucket => bucket.fanDuty === null ? null : Math.round(bucket.fanDuty * 10) / 10),
+                backgroundColor: 'rgba(51, 204, 51, 0.3)',
+                borderColor: '#33cc33',
+                borderWidth: 1
+            }]
+        },
+        options: {
+            animation: false,
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: { legend: legend },
+            scales: {
+                x: axis,
+                y: Object.assign({ min: 0, max: 100 }, axis)
+            }
+        }
+    });
+}
+
+// A live canvas keeps its screen size on paper, an image scales with the page
+function printReport() {
+    if (!reportState.result) return;
+    
+    renderReportCharts(reportState.result, true);
+    [reportState.tempChart, reportState.dutyChart].forEach(chart => {
+        const image = document.createElement('img');
+        image.className = 'report-chart-image';
+        image.src = chart.toBase64Image();
+        chart.canvas.parentNode.appendChild(image);
+    });
+    
+    document.body.classList.add('printing-report');
+    window.print();
+}
+
+function finishReportPrint() {
+    if (!document.body.classList.contains('printing-report')) return;
+    
+    document.body.classList.remove('printing-report');
+    document.querySelectorAll('.report-chart-image').forEach(image => image.remove());
+    renderReportCharts(reportState.result, false);
+}
+
+function resetReportPanel() {
+    reportState.result = null;
+    if (reportState.tempChart) reportState.tempChart.destroy();
+    if (reportState.dutyChart) reportState.dutyChart.destroy();
+    reportState.tempChart = reportState.dutyChart = null;
+    
+    document.getElementById('report-view').hidden = true;
+    document.getElementById('report-print').disabled = true;
+    document.getElementById('report-status').textContent = 'Pick a period and generate the report';
+}
+
+// ====== AUTHENTICATION ======
+function restoreAuth() {
+    try {
+        const saved = sessionlessApi ? null : JSON.parse(localStorage.getItem('batteryDashboard.auth') || 'null');
+        if (saved && saved.token && (!saved.expiresAt || saved.expiresAt > Date.now())) {
+            Object.assign(authState, saved);
+        } else if (saved) {
+            localStorage.removeItem('batteryDashboard.auth');
+        }
+    } catch (error) {
+        console.warn('⚠️ Ignoring corrupted login:', error);
+    }
+    
+    renderAuthState();
+    if (CONFIG.requireLogin && !authState.token) {
+        openLoginDialog();
+    }
+}
+
+function getAuthParams() {
+    return authState.token ? { token: authState.token } : {};
+}
+
+// Anonymous sessions only get viewer rights unless full access is explicitly switched on
+function hasPermission(permission) {
+    if (!authState.role) {
+        if (!CONFIG.requireLogin && CONFIG.anonymousFullAccess) return true;
+        return !!ROLE_PERMISSIONS.viewer[permission];
+    }
+    return !!(ROLE_PERMISSIONS[authState.role] || ROLE_PERMISSIONS.viewer)[permission];
+}
+
+function openLoginDialog(message = '') {
+    document.getElementById('login-error').textContent = message;
+    document.getElementById('login-dialog').classList.add('open');
+    document.getElementById('login-username').focus();
+}
+
+function closeLoginDialog() {
+    document.getElementById('login-dialog').classList.remove('open');
+    document.getElementById('login-password').value = '';
+}
+
+async function submitLogin() {
+    const username = document.getElementById('login-username').value.trim();
+    const password = document.getElementById('login-password').value;
+    const errorElement = document.getElementById('login-error');
+    
+    if (!username || !password) {
+        errorElement.textContent = 'Enter a username and password';
+        return;
+    }
+    
+    errorElement.textContent = 'Logging in...';
+    
+    try {
+        const response = await getDataSource().login(username, password);
+        if (response.status !== 'success' || !response.token) {
+            errorElement.textContent = response.message || 'Login failed';
+            return;
+        }
+        
+        const user = response.user || {};
+        Object.assign(authState, {
+            token: response.token,
+            user: user.name || username,
+            role: ROLE_PERMISSIONS[user.role] ? user.role : 'viewer',
+            expiresAt: response.expires_in ? Date.now() + response.expires_in * 1000 : null
+        });
+        // A login against an overridden endpoint lasts for this visit only
+        if (!sessionlessApi) {
+            localStorage.setItem('batteryDashboard.auth', JSON.stringify(authState));
+        }
+        
+        console.log(`🔑 Logged in as ${authState.user} (${authState.role})`);
+        closeLoginDialog();
+        onAuthChanged();
+        showMessage(`Welcome, ${authState.user}`, 'success');
+    } catch (error) {
+        console.error('❌ Login failed:', error);
+        errorElement.textContent = 'Login failed: ' + error.message;
+    }
+}
+
+function logout() {
+    console.log(`🔑 ${authState.user} logged out`);
+    clearAuth();
+    onAuthChanged();
+    showMessage('Logged out', 'info');
+    
+    if (CONFIG.requireLogin) {
+        openLoginDialog();
+    }
+}
+
+function clearAuth() {
+    authState.token = null;
+    authState.user = null;
+    authState.role = null;
+    authState.expiresAt = null;
+    if (!sessionlessApi) {
+        localStorage.removeItem('batteryDashboard.auth');
+    }
+}
+
+function handleUnauthorized(message) {
+    const wasLoggedIn = !!authState.token;
+    clearAuth();
+    renderAuthState();
+    
+    if (!document.getElementById('login-dialog').classList.contains('open')) {
+        openLoginDialog(wasLoggedIn ? 'Your session has expired, please log in again' : (message || 'Login required'));
+    }
+}
+
+// Per-user settings and the data visible to the new role have to be reloaded
+function onAuthChanged() {
+    renderAuthState();
+    loadColumnLayout();
+    loadInitialData();
+    restartLiveStream();
+}
+
+function renderAuthState() {
+    const badge = document.getElementById('user-badge');
+    const button = document.getElementById('auth-btn');
+    
+    if (badge) {
+        badge.textContent = authState.user ? `${authState.user} (${authState.role})` : 'Guest';
+    }
+    if (button) {
+        button.innerHTML = authState.token
+            ? '<i class="fas fa-sign-out-alt"></i> Logout'
+            : '<i class="fas fa-sign-in-alt"></i> Login';
+    }
+    
+    // Hide what the role may not use instead of letting it fail later
+    document.querySelectorAll('[data-permission]').forEach(element => {
+        element.hidden = !hasPermission(element.dataset.permission);
+    });
+}
+
+// ====== AUDIT TRAIL ======
+function loadAuditLog() {
+    try {
+        auditLog = JSON.parse(localStorage.getItem('batteryDashboard.audit') || '[]');
+    } catch (error) {
+        console.warn('⚠️ Ignoring corrupted audit trail:', error);
+        auditLog = [];
+    }
+    renderAuditLog();
+}
+
+function logAuditEvent(action, value) {
+    const entry = {
+        id: Date.now() + '-' + Math.random().toString(36).slice(2, 8),
+        timestamp: Date.now(),
+        user: authState.user || 'anonymous',
+        role: authState.role || '-',
+        device: getActiveDeviceId(),
+        action: action,
+        value: value,
+        result: 'pending',
+        message: ''
+    };
+    
+    auditLog.unshift(entry);
+    auditLog = auditLog.slice(0, 500);
+    localStorage.setItem('batteryDashboard.audit', JSON.stringify(auditLog));
+    renderAuditLog();
+    
+    return entry.id;
+}
+
+function updateAuditEvent(id, result, message) {
+    const entry = auditLog.find(item => item.id === id);
+    if (!entry) return;
+    
+    entry.result = result;
+    entry.message = message;
+    localStorage.setItem('batteryDashboard.audit', JSON.stringify(auditLog));
+    renderAuditLog();
+}
+
+function clearAuditLog() {
+    if (!hasPermission('control')) {
+        showMessage('Only operators can clear the audit trail', 'error');
+        return;
+    }
+    if (!confirm('Clear the local audit trail?')) return;
+    
+    auditLog = [];
+    localStorage.removeItem('batteryDashboard.audit');
+    renderAuditLog();
+}
+
+function renderAuditLog() {
+    const tbody = document.getElementById('audit-log');
+    if (!tbody) return;
+    
+    if (auditLog.length === 0) {
+        tbody.innerHTML = `
+            <tr class="no-data">
+                <td colspan="6">No control actions recorded</td>
+            </tr>
+        `;
+        return;
+    }
+    
+    tbody.innerHTML = auditLog.slice(0, 100).map(entry => `
+        <tr>
+            <td>${new Date(entry.timestamp).toLocaleString('en-US')}</td>
+            <td>${escapeHtml(entry.user)} <small>(${escapeHtml(entry.role)})</small></td>
+            <td>${escapeHtml(entry.device)}</td>
+            <td>${escapeHtml(entry.action)}</td>
+            <td>${escapeHtml(entry.value)}</td>
+            <td><span class="control-status ${escapeHtml(entry.result)}" title="${escapeHtml(entry.message)}">${escapeHtml(entry.result.toUpperCase())}</span></td>
+        </tr>
+    `).join('');
+}
+
+// ====== REMOTE CONTROL ======
+function validateControlCommand(kind, value) {
+    if (kind === 'tempLimit') {
+        const min = batteryProfile.tempMin;
+        const max = batteryProfile.tempLimitMax;
+        if (typeof value !== 'number' || isNaN(value)) return 'Enter a temperature limit';
+        if (value < min || value > max) return `Temperature limit must be between ${min} and ${max} °C`;
+        if (Math.round(value * 2) !== value * 2) return 'Temperature limit must be a multiple of 0.5 °C';
+        return null;
+    }
+    if (kind === 'fanMode') {
+        return FAN_MODES.includes(value) ? null : 'Unknown fan mode';
+    }
+    return 'Unknown command';
+}
+
+function describeControlCommand(kind, value) {
+    return kind === 'tempLimit' ? `temperature limit to ${value.toFixed(1)} °C` : `fan mode to ${value}`;
+}
+
+async function sendControlCommand(kind, value) {
+    if (!hasPermission('control')) {
+        showMessage('Only operators can change device settings', 'error');
+        return;
+    }
+    
+    const error = validateControlCommand(kind, value);
+    if (error) {
+        showMessage(error, 'error');
+        return;
+    }
+    
+    const current = controlState[kind];
+    if (current && current.status === 'pending') {
+        showMessage('The previous command has not been confirmed yet', 'error');
+        return;
+    }
+    
+    const device = fleet.devices.find(item => item.id === getActiveDeviceId());
+    if (!confirm(`Set the ${describeControlCommand(kind, value)} on ${device ? device.name : getActiveDeviceId()}?`)) return;
+    
+    const command = kind === 'tempLimit' ? 'setTempLimit' : 'setFanMode';
+    const state = { value: value, status: 'pending', sentAt: Date.now(), acceptedAt: null, readingBefore: null, message: 'Sending...', timer: null };
+    state.auditId = logAuditEvent(command, value);
+    controlState[kind] = state;
+    renderControlPanel();
+    
+    console.log(`🎛️ Sending ${command}:`, value);
+    
+    try {
+        const response = await getDataSource().sendCommand({ command: command, value: value });
+        if (response.status !== 'success') {
+            throw new Error(response.message || 'Command rejected');
+        }
+        
+        // The backend only queued it; the next reading from the device confirms it
+        state.acceptedAt = Date.now();
+        state.readingBefore = lastReadingAt;
+        state.message = 'Waiting for the device...';
+        state.timer = setTimeout(() => {
+            if (state.status === 'pending') {
+                failControlCommand(kind, 'Device did not confirm the change');
+            }
+        }, CONTROL_CONFIRM_TIMEOUT);
+        renderControlPanel();
+    } catch (error) {
+        console.error(`❌ ${command} failed:`, error);
+        failControlCommand(kind, error.message);
+    }
+}
+
+function confirmControlCommands(data) {
+    // Compared with earlier device readings rather than the browser clock, which may be off
+    const readingAt = data ? getRowTime(data) : null;
+    if (readingAt === null) return;
+    if (lastReadingAt === null || readingAt > lastReadingAt) lastReadingAt = readingAt;
+    if (!appState.espConnected) return;
+    
+    Object.keys(controlState).forEach(kind => {
+        const state = controlState[kind];
+        if (!state || state.status !== 'pending' || !state.acceptedAt) return;
+        // The backend repeats the last reading until the device sends a new one
+        if (state.readingBefore !== null && readingAt <= state.readingBefore) return;
+        
+        let applied;
+        let message = 'Confirmed by device';
+        if (kind === 'tempLimit') {
+            applied = Math.abs(appState.tempLimit - state.value) < 0.05;
+        } else if (appState.fanMode !== null) {
+            applied = appState.fanMode === state.value;
+        } else if (state.value === 'AUTO') {
+            // Firmware without fan_mode cannot show AUTO, a reading newer than the command is all we get
+            applied = true;
+            message = 'Accepted (device does not report the fan mode)';
+        } else {
+            applied = appState.fanStatus === state.value;
+        }
+        
+        if (applied) {
+            clearTimeout(state.timer);
+            state.status = 'applied';
+            state.message = message;
+            updateAuditEvent(state.auditId, 'applied', message);
+            console.log(`✅ ${describeControlCommand(kind, state.value)} applied`);
+            showMessage(`Device applied the ${describeControlCommand(kind, state.value)}`, 'success');
+        }
+    });
+    
+    renderControlPanel();
+}
+
+function failControlCommand(kind, message) {
+    const state = controlState[kind];
+    if (!state) return;
+    
+    clearTimeout(state.timer);
+    state.status = 'failed';
+    state.message = message;
+    updateAuditEvent(state.auditId, 'failed', message);
+    renderControlPanel();
+    showMessage(`Could not set the ${describeControlCommand(kind, state.value)}: ${message}`, 'error');
+}
+
+function resetControlState() {
+    Object.keys(controlState).forEach(kind => {
+        if (controlState[kind]) clearTimeout(controlState[kind].timer);
+        controlState[kind] = null;
+    });
+    renderControlPanel();
+}
+
+function renderControlPanel() {
+    const input = document.getElementById('temp-limit-input');
+    if (input) {
+        input.min = batteryProfile.tempMin;
+        input.max = batteryProfile.tempLimitMax;
+    }
+    
+    document.querySelectorAll('.fan-mode-btn').forEach(btn => {
+        btn.classList.toggle('active', appState.fanMode === btn.dataset.mode);
+    });
+    
+    [['tempLimit', 'temp-limit-status'], ['fanMode', 'fan-mode-status']].forEach(([kind, id]) => {
+        const element = document.getElementById(id);
+        const state = controlState[kind];
+        if (!element) return;
+        
+        if (!state) {
+            element.textContent = '';
+            element.className = 'control-status';
+            return;
+        }
+        
+        const value = kind === 'tempLimit' ? `${state.value.toFixed(1)} °C` : state.value;
+        element.textContent = `${state.status.toUpperCase()} ${value} · ${state.message}`;
+        element.className = `control-status ${state.status}`;
+    });
+}
+
+// ====== ALARM CONFIG ======
+function loadAlarmConfig() {
+    alarmState.rules = getDefaultAlarmRules(batteryProfile);
+    
+    try {
+        const savedRules = JSON.parse(localStorage.getItem('batteryDashboard.alarmRules') || 'null');
+        if (Array.isArray(savedRules)) {
+            alarmState.rules = alarmState.rules.map(rule => {
+                const saved = savedRules.find(item => item.id === rule.id);
+                return saved ? Object.assign(rule, saved) : rule;
+            });
+        }
+        
+        alarmState.log = JSON.parse(localStorage.getItem('batteryDashboard.alarmLog') || '[]');
+    } catch (error) {
+        console.warn('⚠️ Ignoring corrupted alarm settings:', error);
+        alarmState.log = [];
+    }
+    
+    renderAlarmRules();
+    renderAlarmPanel();
+    renderAlarmLog();
+}
+
+function saveAlarmRules() {
+    localStorage.setItem('batteryDashboard.alarmRules', JSON.stringify(alarmState.rules));
+}
+
+// ====== EVALUATE ALARMS ======
+function evaluateAlarms() {
+    const now = Date.now();
+    
+    alarmState.rules.forEach(rule => {
+        const value = appState[rule.metric];
+        if (!rule.enabled || typeof value !== 'number' || isNaN(value)) return;
+        
+        const active = alarmState.active[rule.id];
+        const currentLevel = active && active.state !== 'cleared' ? active.level : 'none';
+        let targetLevel = getAlarmLevel(rule, value, currentLevel);
+        
+        if (targetLevel === currentLevel) {
+            delete alarmState.pending[rule.id];
+            if (active && currentLevel !== 'none') {
+                active.value = value;
+            }
+            return;
+        }
+        
+        // Escalations must hold for minDuration so a single noisy sample cannot raise an alarm.
+        // Every level keeps its own start time: a value swinging between the warning and
+        // critical bands has been above the warning level all along.
+        if (alarmLevelRank(targetLevel) > alarmLevelRank(currentLevel)) {
+            const pending = alarmState.pending[rule.id] || (alarmState.pending[rule.id] = {});
+            ['warning', 'critical'].forEach(level => {
+                if (alarmLevelRank(level) > alarmLevelRank(targetLevel)) {
+                    delete pending[level];
+                } else if (alarmLevelRank(level) > alarmLevelRank(currentLevel) && pending[level] === undefined) {
+                    pending[level] = now;
+                }
+            });
+            
+            const held = ['critical', 'warning'].find(level =>
+                pending[level] !== undefined && now - pending[level] >= rule.minDuration * 1000);
+            if (!held) return;
+            
+            // A warning that has held is raised while a newer critical keeps counting
+            if (held !== targetLevel) {
+                delete pending[held];
+                applyAlarmLevel(rule, held, value, now);
+                return;
+            }
+        }
+        
+        delete alarmState.pending[rule.id];
+        applyAlarmLevel(rule, targetLevel, value, now);
+    });
+    
+    renderAlarmPanel();
+}
+
+function applyAlarmLevel(rule, level, value, now) {
+    const active = alarmState.active[rule.id];
+    
+    if (level === 'none') {
+        if (!active) return;
+        
+        logAlarmEvent('cleared', rule, active.level, value);
+        if (active.acknowledged) {
+            delete alarmState.active[rule.id];
+        } else {
+            // Keep unacknowledged alarms visible until someone has seen them
+            active.state = 'cleared';
+            active.value = value;
+        }
+        return;
+    }
+    
+    if (active && active.state !== 'cleared') {
+        logAlarmEvent(alarmLevelRank(level) > alarmLevelRank(active.level) ? 'escalated' : 'downgraded', rule, level, value);
+        active.level = level;
+        active.value = value;
+        if (level === 'critical') {
+            active.acknowledged = false;
+            active.state = 'active';
+        }
+        return;
+    }
+    
+    logAlarmEvent('raised', rule, level, value);
+    alarmState.active[rule.id] = {
+        ruleId: rule.id,
+        level: level,
+        value: value,
+        since: now,
+        state: 'active',
+        acknowledged: false
+    };
+}
+
+// ====== ACKNOWLEDGE ALARMS ======
+function acknowledgeAlarm(ruleId) {
+    const active = alarmState.active[ruleId];
+    const rule = alarmState.rules.find(item => item.id === ruleId);
+    if (!active || !rule) return;
+    
+    logAlarmEvent('acknowledged', rule, active.level, active.value);
+    
+    if (active.state === 'cleared') {
+        delete alarmState.active[ruleId];
+    } else {
+        active.acknowledged = true;
+        active.state = 'acknowledged';
+    }
+    
+    renderAlarmPanel();
+}
+
+function acknowledgeAllAlarms() {
+    Object.keys(alarmState.active).forEach(ruleId => {
+        if (!alarmState.active[ruleId].acknowledged) {
+            acknowledgeAlarm(ruleId);
+        }
+    });
+}
+
+// ====== ALARM LOG ======
+function logAlarmEvent(event, rule, level, value) {
+    alarmState.log.unshift({
+        timestamp: new Date().toISOString(),
+        event: event,
+        ruleId: rule.id,
+        label: rule.label,
+        level: level,
+        value: value,
+        unit: ALARM_METRICS[rule.metric].unit
+    });
+    
+    if (alarmState.log.length > 500) {
+        alarmState.log.length = 500;
+    }
+    
+    localStorage.setItem('batteryDashboard.alarmLog', JSON.stringify(alarmState.log));
+    console.log(`🚨 Alarm ${event}: ${rule.label} (${level}) = ${value.toFixed(1)}`);
+    renderAlarmLog();
+}
+
+function clearAlarmLog() {
+    alarmState.log = [];
+    localStorage.removeItem('batteryDashboard.alarmLog');
+    renderAlarmLog();
+    showMessage('Alarm history cleared', 'info');
+}
+
+// ====== RENDER ALARM PANEL ======
+function renderAlarmPanel() {
+    const list = document.getElementById('alarm-list');
+    const counter = document.getElementById('alarm-count');
+    if (!list) return;
+    
+    const alarms = Object.values(alarmState.active).sort((a, b) =>
+        alarmLevelRank(b.level) - alarmLevelRank(a.level) || a.since - b.since
+    );
+    
+    if (counter) {
+        const unacknowledged = alarms.filter(alarm => !alarm.acknowledged).length;
+        counter.textContent = unacknowledged;
+        counter.className = 'alarm-count' + (unacknowledged > 0 ? ' ' + alarms[0].level : '');
+    }
+    
+    if (alarms.length === 0) {
+        list.innerHTML = `
+            <div class="alarm-empty">
+                <i class="fas fa-check-circle"></i> No active alarms
+            </div>
+        `;
+        return;
+    }
+    
+    list.innerHTML = alarms.map(alarm => {
+        const rule = alarmState.rules.find(item => item.id === alarm.ruleId);
+        const unit = ALARM_METRICS[rule.metric].unit;
+        
+        return `
+            <div class="alarm-item ${alarm.level} ${alarm.state}">
+                <i class="fas fa-${alarm.level === 'critical' ? 'exclamation-circle' : 'exclamation-triangle'}"></i>
+                <div class="alarm-details">
+                    <strong>${rule.label}</strong>
+                    <small>${alarm.value.toFixed(1)} ${unit} · since ${new Date(alarm.since).toLocaleTimeString('en-US')}</small>
+                </div>
+                <span class="alarm-state">${alarm.state.toUpperCase()}</span>
+                ${alarm.acknowledged ? '' : `<button class="alarm-ack-btn" data-ack="${alarm.ruleId}"><i class="fas fa-check"></i> ACK</button>`}
+            </div>
+        `;
+    }).join('');
+}
+
+function renderAlarmLog() {
+    const tbody = document.getElementById('alarm-log');
+    if (!tbody) return;
+    
+    if (alarmState.log.length === 0) {
+        tbody.innerHTML = `
+            <tr class="no-data">
+                <td colspan="5">No alarm events recorded</td>
+            </tr>
+        `;
+        return;
+    }
+    
+    tbody.innerHTML = alarmState.log.slice(0, 100).map(entry => `
+        <tr>
+            <td>${new Date(entry.timestamp).toLocaleString('en-US')}</td>
+            <td>${entry.event.toUpperCase()}</td>
+            <td>${entry.label}</td>
+            <td><span class="alarm-level ${entry.level}">${entry.level.toUpperCase()}</span></td>
+            <td>${entry.value.toFixed(1)} ${entry.unit}</td>
+        </tr>
+    `).join('');
+}
+
+// ====== ALARM RULE EDITOR ======
+function renderAlarmRules() {
+    const tbody = document.getElementById('alarm-rules');
+    if (!tbody) return;
+    
+    tbody.innerHTML = alarmState.rules.map(rule => {
+        const unit = ALARM_METRICS[rule.metric].unit;
+        
+        return `
+            <tr data-rule="${rule.id}">
+                <td><input type="checkbox" data-field="enabled" ${rule.enabled ? 'checked' : ''}></td>
+                <td>${rule.label} <small>(${rule.direction === 'above' ? '≥' : '≤'})</small></td>
+                <td><input type="number" step="0.1" data-field="warning" value="${rule.warning}"> ${unit}</td>
+                <td><input type="number" step="0.1" data-field="critical" value="${rule.critical}"> ${unit}</td>
+                <td><input type="number" step="0.1" min="0" data-field="hysteresis" value="${rule.hysteresis}"> ${unit}</td>
+                <td><input type="number" step="1" min="0" data-field="minDuration" value="${rule.minDuration}"> s</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+function saveAlarmRulesFromEditor() {
+    const rows = document.querySelectorAll('#alarm-rules tr[data-rule]');
+    const updates = [];
+    
+    for (const row of rows) {
+        const rule = alarmState.rules.find(item => item.id === row.dataset.rule);
+        const field = name => row.querySelector(`[data-field="${name}"]`);
+        const update = {
+            enabled: field('enabled').checked,
+            warning: parseFloat(field('warning').value),
+            critical: parseFloat(field('critical').value),
+            hysteresis: parseFloat(field('hysteresis').value),
+            minDuration: parseInt(field('minDuration').value)
+        };
+        
+        if ([update.warning, update.critical, update.hysteresis, update.minDuration].some(isNaN)) {
+            showMessage(`${rule.label}: all thresholds must be numbers`, 'error');
+            return;
+        }
+        
+        const ordered = rule.direction === 'above' ? update.critical >= update.warning : update.critical <= update.warning;
+        if (!ordered) {
+            showMessage(`${rule.label}: critical level must be beyond the warning level`, 'error');
+            return;
+        }
+        
+        if (update.hysteresis < 0 || update.minDuration < 0) {
+            showMessage(`${rule.label}: hysteresis and duration cannot be negative`, 'error');
+            return;
+        }
+        
+        updates.push([rule, update]);
+    }
+    
+    updates.forEach(([rule, update]) => {
+        Object.assign(rule, update);
+        if (!rule.enabled) {
+            delete alarmState.active[rule.id];
+            delete alarmState.pending[rule.id];
+        }
+    });
+    
+    saveAlarmRules();
+    renderAlarmPanel();
+    showMessage('Alarm rules saved', 'success');
+}
+
+function resetAlarmRules() {
+    alarmState.rules = getDefaultAlarmRules(batteryProfile);
+    alarmState.pending = {};
+    localStorage.removeItem('batteryDashboard.alarmRules');
+    
+    renderAlarmRules();
+    renderAlarmPanel();
+    showMessage('Alarm rules reset to defaults', 'info');
+}
+
+// ====== NOTIFICATION PREFERENCES ======
+function loadNotificationPrefs() {
+    try {
+        const saved = JSON.parse(localStorage.getItem('batteryDashboard.notifyPrefs') || '{}');
+        notifyState.enabled = !!saved.enabled && 'Notification' in window && Notification.permission === 'granted';
+        notifyState.sound = !!saved.sound;
+        notifyState.muted = saved.muted || {};
+        notifyState.snoozedUntil = saved.snoozedUntil || {};
+    } catch (error) {
+        console.warn('⚠️ Ignoring corrupted notification settings:', error);
+    }
+    
+    const soundToggle = document.getElementById('notify-sound');
+    if (soundToggle) {
+        soundToggle.checked = notifyState.sound;
+    }
+    
+    renderNotificationPanel();
+}
+
+function saveNotificationPrefs() {
+    localStorage.setItem('batteryDashboard.notifyPrefs', JSON.stringify({
+        enabled: notifyState.enabled,
+        sound: notifyState.sound,
+        muted: notifyState.muted,
+        snoozedUntil: notifyState.snoozedUntil
+    }));
+}
+
+async function enableNotifications() {
+    if (!('Notification' in window)) {
+        showMessage('This browser does not support notifications', 'error');
+        return;
+    }
+    
+    const permission = await Notification.requestPermission();
+    notifyState.enabled = permission === 'granted';
+    saveNotificationPrefs();
+    renderNotificationPanel();
+    
+    if (notifyState.enabled) {
+        showMessage('Desktop notifications enabled', 'success');
+    } else {
+        showMessage('Notification permission was denied', 'error');
+    }
+}
+
+function setAlarmSound(enabled) {
+    notifyState.sound = enabled;
+    
+    // Browsers only allow audio that was unlocked by a user gesture, so create it here
+    if (enabled) {
+        getAudioContext();
+    }
+    
+    saveNotificationPrefs();
+}
+
+function toggleConditionMute(conditionId) {
+    notifyState.muted[conditionId] = !notifyState.muted[conditionId];
+    saveNotificationPrefs();
+    renderNotificationPanel();
+}
+
+function snoozeCondition(conditionId, minutes) {
+    if (!minutes) return;
+    
+    notifyState.snoozedUntil[conditionId] = Date.now() + minutes * 60000;
+    saveNotificationPrefs();
+    renderNotificationPanel();
+    
+    const condition = CRITICAL_CONDITIONS.find(item => item.id === conditionId);
+    showMessage(`${condition.label} snoozed for ${minutes} minutes`, 'info');
+}
+
+function isConditionSilenced(conditionId) {
+    return !!notifyState.muted[conditionId] || (notifyState.snoozedUntil[conditionId] || 0) > Date.now();
+}
+
+// ====== EVALUATE CRITICAL CONDITIONS ======
+function isAlarmCritical(ruleId) {
+    const alarm = alarmState.active[ruleId];
+    return !!alarm && alarm.level === 'critical' && alarm.state !== 'cleared';
+}
+
+function evaluateCriticalConditions() {
+    let sounding = false;
+    let changed = false;
+    
+    CRITICAL_CONDITIONS.forEach(condition => {
+        const active = appState.online && condition.isActive();
+        const wasActive = !!notifyState.active[condition.id];
+        
+        if (active !== wasActive) {
+            changed = true;
+            notifyState.active[condition.id] = active;
+            
+            // Notify once per activation, not on every reading while it lasts
+            if (active && !isConditionSilenced(condition.id)) {
+                sendCriticalNotification(condition);
+            }
+        }
+        
+        if (active && !isConditionSilenced(condition.id)) {
+            sounding = true;
+        }
+    });
+    
+    if (sounding && notifyState.sound && Date.now() - notifyState.lastToneAt > 5000) {
+        playAlarmTone();
+    }
+    
+    if (changed) {
+        renderNotificationPanel();
+    }
+}
+
+function sendCriticalNotification(condition) {
+    console.log(`🔔 Critical condition: ${condition.label}`);
+    
+    if (!notifyState.enabled || !('Notification' in window) || Notification.permission !== 'granted') {
+        return;
+    }
+    
+    const notification = new Notification(`Battery alarm: ${condition.label}`, {
+        body: condition.describe(),
+        icon: 'favicon.ico',
+        tag: condition.id,
+        requireInteraction: true
+    });
+    
+    notification.onclick = () => {
+        window.focus();
+        notification.close();
+    };
+}
+
+// ====== ALARM TONE ======
+function getAudioContext() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+    
+    if (!notifyState.audioContext) {
+        notifyState.audioContext = new AudioContextClass();
+    }
+    if (notifyState.audioContext.state === 'suspended') {
+        notifyState.audioContext.resume();
+    }
+    return notifyState.audioContext;
+}
+
+function playAlarmTone() {
+    const ctx = getAudioContext();
+    if (!ctx) return;
+    
+    notifyState.lastToneAt = Date.now();
+    
+    // Three alternating high/low beeps
+    [880, 660, 880].forEach((frequency, index) => {
+        const start = ctx.currentTime + index * 0.3;
+        const oscillator = ctx.createOscillator();
+        const gain = ctx.createGain();
+        
+        oscillator.type = 'square';
+        oscillator.frequency.value = frequency;
+        gain.gain.setValueAtTime(0.15, start);
+        gain.gain.exponentialRampToValueAtTime(0.001, start + 0.25);
+        
+        oscillator.connect(gain);
+        gain.connect(ctx.destination);
+        oscillator.start(start);
+        oscillator.stop(start + 0.25);
+    });
+}
+
+// ====== RENDER NOTIFICATION PANEL ======
+function renderNotificationPanel() {
+    const container = document.getElementById('notify-conditions');
+    const enableButton = document.getElementById('notify-enable');
+    if (!container) return;
+    
+    if (enableButton) {
+        enableButton.innerHTML = notifyState.enabled
+            ? '<i class="fas fa-bell"></i> Notifications On'
+            : '<i class="fas fa-bell-slash"></i> Enable Notifications';
+        enableButton.classList.toggle('active', notifyState.enabled);
+    }
+    
+    container.innerHTML = CRITICAL_CONDITIONS.map(condition => {
+        const active = !!notifyState.active[condition.id];
+        const muted = !!notifyState.muted[condition.id];
+        const snoozedUntil = notifyState.snoozedUntil[condition.id] || 0;
+        const snoozed = snoozedUntil > Date.now();
+        
+        let status = active ? 'ACTIVE' : 'OK';
+        if (muted) {
+            status += ' · MUTED';
+        } else if (snoozed) {
+            status += ` · SNOOZED until ${new Date(snoozedUntil).toLocaleTimeString('en-US')}`;
+        }
+        
+        return `
+            <div class="notify-condition ${active ? 'active' : ''}">
+                <strong>${condition.label}</strong>
+                <small>${status}</small>
+                <button class="alarm-ack-btn" data-mute="${condition.id}">
+                    <i class="fas fa-${muted ? 'volume-up' : 'volume-mute'}"></i> ${muted ? 'Unmute' : 'Mute'}
+                </button>
+                <select data-snooze="${condition.id}">
+                    <option value="">Snooze...</option>
+                    <option value="5">5 min</option>
+                    <option value="15">15 min</option>
+                    <option value="60">1 hour</option>
+                </select>
+            </div>
+        `;
+    }).join('');
+}
+
+// ====== DEVICES ======
+function getActiveDeviceId() {
+    return fleet.activeId;
+}
+
+function restoreActiveDevice() {
+    const requested = new URLSearchParams(window.location.search).get('device');
+    const saved = localStorage.getItem('batteryDashboard.device');
+    fleet.activeId = requested || saved || CONFIG.defaultDeviceId;
+}
+
+async function loadDevices() {
+    let devices = CONFIG.devices.slice();
+    
+    const source = getDataSource();
+    if (source.getDevices) {
+        try {
+            devices = devices.concat(await source.getDevices());
+        } catch (error) {
+            console.warn('⚠️ Data source cannot list devices:', error.message);
+        }
+    }
+    
+    try {
+        devices = devices.concat(JSON.parse(localStorage.getItem('batteryDashboard.customDevices') || '[]'));
+    } catch (error) {
+        console.warn('⚠️ Ignoring corrupted device list:', error);
+    }
+    
+    // The active device is always listed, even if nobody reported it yet
+    devices.push({ id: fleet.activeId });
+    
+    const seen = {};
+    fleet.devices = devices.filter(device => {
+        if (!device || !device.id || seen[device.id]) return false;
+        seen[device.id] = true;
+        return true;
+    }).map(device => ({ id: String(device.id), name: device.name || device.id }));
+    
+    console.log(`🔋 ${fleet.devices.length} device(s) known`);
+    renderDeviceSelect();
+    renderFleetGrid();
+}
+
+function addDeviceFromForm() {
+    const input = document.getElementById('device-new-id');
+    const id = input.value.trim();
+    
+    if (!/^[\w.-]{1,40}$/.test(id)) {
+        showMessage('Device ID may only contain letters, numbers, dots, dashes and underscores', 'error');
+        return;
+    }
+    if (fleet.devices.some(device => device.id === id)) {
+        showMessage(`Device ${id} is already listed`, 'error');
+        return;
+    }
+    
+    let custom = [];
+    try {
+        custom = JSON.parse(localStorage.getItem('batteryDashboard.customDevices') || '[]');
+    } catch (error) {
+        custom = [];
+    }
+    custom.push({ id: id, name: id });
+    localStorage.setItem('batteryDashboard.customDevices', JSON.stringify(custom));
+    
+    input.value = '';
+    fleet.devices.push({ id: id, name: id });
+    renderDeviceSelect();
+    renderFleetGrid();
+    pollFleet();
+    showMessage(`Device ${id} added`, 'success');
+}
+
+function switchDevice(id) {
+    if (id === fleet.activeId) return;
+    
+    console.log(`🔋 Switching to device ${id}`);
+    syncActiveDeviceState();
+    
+    const previousId = fleet.activeId;
+    fleet.activeId = id;
+    localStorage.setItem('batteryDashboard.device', id);
+    
+    // Alarms, chart and history all belong to the previous pack
+    alarmState.active = {};
+    alarmState.pending = {};
+    renderAlarmPanel();
+    lastReadingAt = null;
+    
+    appState.history.clientRows = null;
+    resetSocEstimator();
+    restoreSocEstimate();
+    resetHealthPanel();
+    resetThermalPanel();
+    resetReportPanel();
+    resetControlState();
+    saveEnergyState(previousId);
+    loadEnergyState();
+    resetLiveData();
+    setChartRange('live');
+    renderDeviceSelect();
+    renderFleetGrid();
+    
+    loadInitialData();
+    rehydrateChart();
+    restartLiveStream();
+    
+    const device = fleet.devices.find(item => item.id === id);
+    showMessage(`Monitoring ${device ? device.name : id}`, 'info');
+}
+
+// ====== FLEET OVERVIEW ======
+function startFleetPolling() {
+    clearInterval(fleet.timer);
+    pollFleet();
+    fleet.timer = setInterval(pollFleet, CONFIG.fleetRefreshInterval);
+}
+
+async function pollFleet() {
+    // A slow backend can take longer than the interval for a whole round
+    if (document.hidden || fleet.polling) return;
+    fleet.polling = true;
+    
+    // The active device is kept up to date by the main polling/stream pipeline
+    const others = fleet.devices.filter(device => device.id !== fleet.activeId);
+    
+    try {
+        for (const device of others) {
+            try {
+                const response = await getDataSource().getLatest({ device: device.id });
+                if (device.id !== fleet.activeId) updateFleetDevice(device.id, response);
+            } catch (error) {
+                if (device.id !== fleet.activeId) updateFleetDevice(device.id, { status: 'error', message: error.message });
+            }
+        }
+    } finally {
+        fleet.polling = false;
+    }
+}
+
+function updateFleetDevice(id, response) {
+    const previous = fleet.states[id] || {};
+    const state = Object.assign({}, previous, {
+        online: response.status === 'success',
+        espConnected: response.status === 'success' && !!response.data && response.esp_connected !== false,
+        updatedAt: Date.now()
+    });
+    
+    if (response.status === 'success' && response.data) {
+        const { values } = validateReading(response.data);
+        state.voltage = values.voltage;
+        state.current = values.current;
+        state.temperature = values.temperature;
+        state.battery = values.battery;
+        state.tempLimit = values.temp_limit !== null ? values.temp_limit : previous.tempLimit;
+        state.power = values.voltage !== null && values.current !== null ? values.voltage * values.current : null;
+        state.alarmLevel = getReadingAlarmLevel(state, alarmState.rules);
+    }
+    
+    fleet.states[id] = state;
+    
+    if (!fleet.devices.some(device => device.id === id)) {
+        fleet.devices.push({ id: id, name: id });
+        renderDeviceSelect();
+    }
+    renderFleetGrid();
+}
+
+function syncActiveDeviceState() {
+    const alarms = Object.values(alarmState.active).filter(alarm => alarm.state !== 'cleared');
+    const level = alarms.reduce((max, alarm) =>
+        alarmLevelRank(alarm.level) > alarmLevelRank(max) ? alarm.level : max, 'none');
+    
+    fleet.states[fleet.activeId] = {
+        online: appState.online,
+        espConnected: appState.espConnected,
+        updatedAt: Date.now(),
+        voltage: appState.voltage,
+        current: appState.current,
+        temperature: appState.temperature,
+        battery: appState.battery,
+        tempLimit: appState.tempLimit,
+        power: appState.power,
+        alarmLevel: level
+    };
+    
+    renderFleetGrid();
+}
+
+function renderDeviceSelect() {
+    const select = document.getElementById('device-select');
+    if (!select) return;
+    
+    select.innerHTML = '';
+    fleet.devices.forEach(device => select.add(new Option(device.name, device.id)));
+    select.value = fleet.activeId;
+}
+
+function renderFleetGrid() {
+    const grid = document.getElementById('fleet-grid');
+    if (!grid) return;
+    
+    grid.innerHTML = fleet.devices.map(device => {
+        const state = fleet.states[device.id];
+        const active = device.id === fleet.activeId;
+        const id = escapeHtml(device.id);
+        const name = escapeHtml(device.name);
+        
+        if (!state || state.voltage === undefined) {
+            return `
+                <div class="fleet-card ${active ? 'active' : ''}" data-device="${id}">
+                    <div class="fleet-card-header">
+                        <strong>${name}</strong>
+                        <span class="fleet-esp offline"><i class="fas fa-question-circle"></i></span>
+                    </div>
+                    <small>${state ? 'No data' : 'Waiting for data...'}</small>
+                </div>
+            `;
+        }
+        
+        const espClass = !state.online ? 'offline' : state.espConnected ? 'connected' : 'disconnected';
+        const espTitle = !state.online ? 'Server offline' : state.espConnected ? 'ESP32 connected' : 'ESP32 timeout';
+        
+        return `
+            <div class="fleet-card ${active ? 'active' : ''} alarm-${state.alarmLevel || 'none'}" data-device="${id}">
+                <div class="fleet-card-header">
+                    <strong>${name}</strong>
+                    <span class="fleet-esp ${espClass}" title="${espTitle}"><i class="fas fa-microchip"></i></span>
+                </div>
+                <div class="fleet-values">
+                    <span><i class="fas fa-bolt"></i> ${formatReadingValue(state.voltage)} V</span>
+                    <span><i class="fas fa-battery-half"></i> ${formatReadingValue(state.battery, 0)} %</span>
+                    <span><i class="fas fa-thermometer-half"></i> ${formatReadingValue(state.temperature)} °C</span>
+                </div>
+                <div class="fleet-soc">
+                    <div class="fleet-soc-fill" style="width: ${Math.min(Math.max(state.battery, 0), 100)}%"></div>
+                </div>
+                <small class="fleet-alarm">${state.alarmLevel && state.alarmLevel !== 'none' ? state.alarmLevel.toUpperCase() : 'NORMAL'}</small>
+            </div>
+        `;
+    }).join('');
+}
+
+// ====== LOAD HISTORY ======
+async function loadHistory(page = 1) {
+    try {
+        console.log(`📚 Loading history page ${page}...`);
+        
+        const filters = appState.history.filters;
+        const sort = appState.history.sort;
+        const sortColumn = sort ? getHistoryColumn(sort.key) : null;
+        const filterParams = buildHistoryFilterParams(filters);
+        let response;
+        
+        if (appState.history.clientRows) {
+            // Filtered/sorted locally already, just page through the cached result
+            response = paginateRows(appState.history.clientRows, page, CONFIG.historyPageSize);
+        } else {
+            const params = Object.assign({
+                page: page,
+                limit: CONFIG.historyPageSize
+            }, filterParams);
+            
+            if (sortColumn && !sortColumn.derived) {
+                params.sort = sort.key;
+                params.order = sort.order;
+            }
+            
+            response = await getDataSource().getHistory(params);
+            if (response.status === 'success') {
+                validateHistoryRows(response.data);
+            }
+            
+            // Backends that support filtering/sorting echo it back, the rest get it done here
+            const filterIgnored = hasHistoryFilters(filters) && !response.filters;
+            const sortIgnored = !!sortColumn && (sortColumn.derived || !response.sort);
+            
+            if (response.status === 'success' && (filterIgnored || sortIgnored)) {
+                console.log('🔎 Backend cannot filter/sort this view, processing on the client...');
+                const result = await fetchAllHistoryRows(filterParams);
+                if (result.truncated) {
+                    showMessage(describeTruncation(result), 'error');
+                }
+                let rows = filterIgnored && !result.filtered
+                    ? applyHistoryFilters(result.rows, filters)
+                    : result.rows;
+                
+                annotateHistoryRows(rows);
+                if (sortColumn) {
+                    rows = sortHistoryRows(rows, sortColumn, sort.order);
+                }
+                
+                appState.history.clientRows = rows;
+                response = paginateRows(rows, page, CONFIG.historyPageSize);
+            } else if (response.status === 'success') {
+                annotateHistoryRows(response.data, await getPreviousHistoryRow(params, response.data));
+            }
+        }
+        
+        if (response.status === 'success') {
+            appState.history.data = response.data;
+            appState.history.pagination = response.pagination;
+            renderHistoryTable();
+            updatePaginationControls();
+            updateTotalData();
+            
+            console.log(`✅ History loaded: ${response.data.length} records`);
+        } else {
+            throw new Error('Failed to load history: ' + response.message);
+        }
+    } catch (error) {
+        console.error('❌ Error loading history:', error);
+        showMessage('Failed to load history data: ' + error.message, 'error');
+        renderHistoryTable();
+    }
+}
+
+// The energy of the oldest row on a page needs the reading before it. While the backend keeps
+// its newest-first order that is on the next page; the whole page is read because new readings
+// arriving in between shift the rows along.
+async function getPreviousHistoryRow(params, rows) {
+    const energyColumn = columnLayout.find(entry => entry.key === 'energy');
+    if (params.sort || !energyColumn || !energyColumn.visible) return null;
+    
+    const times = rows.map(getRowTime).filter(time => time !== null);
+    if (times.length === 0) return null;
+    const oldest = Math.min(...times);
+    
+    try {
+        const response = await getDataSource().getHistory(Object.assign({}, params, { page: params.page + 1 }));
+        if (response.status !== 'success' || !response.pagination || response.pagination.page !== params.page + 1) return null;
+        
+        return validateHistoryRows(response.data || []).reduce((previous, row) => {
+            const time = getRowTime(row);
+            return time !== null && time < oldest && (!previous || time > getRowTime(previous)) ? row : previous;
+        }, null);
+    } catch (error) {
+        console.warn('⚠️ Could not load the reading before this page:', error);
+        return null;
+    }
+}
+
+// ====== HISTORY FILTERS ======
+function fetchAllHistoryRows(params = {}, onProgress = null) {
+    return BatteryCore.fetchAllHistoryRows(query => getDataSource().getHistory(query), params, onProgress);
+}
+
+function walkHistoryByDay(range, onRows, onProgress = null) {
+    return BatteryCore.walkHistoryByDay(query => getDataSource().getHistory(query), range, onRows, onProgress);
+}
+
+// Warning text for a fetchAllHistoryRows result that hit the page limit
+function describeTruncation(result) {
+    const total = result.totalRecords !== null ? ` of ${result.totalRecords.toLocaleString('en-US')}` : '';
+    return `Only ${result.rows.length.toLocaleString('en-US')}${total} readings could be loaded, the rest is missing`;
+}
+
+function readHistoryFilterForm() {
+    const from = document.getElementById('history-from').value;
+    const to = document.getElementById('history-to').value;
+    const voltageBelow = document.getElementById('filter-voltage-below').value;
+    
+    return {
+        from: from ? new Date(from).getTime() : null,
+        to: to ? new Date(to).getTime() : null,
+        fanOn: document.getElementById('filter-fan-on').checked,
+        aboveLimit: document.getElementById('filter-above-limit').checked,
+        voltageBelow: voltageBelow !== '' ? parseFloat(voltageBelow) : null
+    };
+}
+
+function applyHistoryFilterForm() {
+    const filters = readHistoryFilterForm();
+    
+    if (filters.from && filters.to && filters.from > filters.to) {
+        showMessage('The start of the range must be before its end', 'error');
+        return;
+    }
+    
+    appState.history.filters = filters;
+    appState.history.clientRows = null;
+    loadHistory(1);
+}
+
+function clearHistoryFilters() {
+    document.getElementById('history-from').value = '';
+    document.getElementById('history-to').value = '';
+    document.getElementById('filter-fan-on').checked = false;
+    document.getElementById('filter-above-limit').checked = false;
+    document.getElementById('filter-voltage-below').value = '';
+    
+    appState.history.filters = {};
+    appState.history.clientRows = null;
+    loadHistory(1);
+}
+
+// ====== RENDER HISTORY TABLE ======
+function renderHistoryTable() {
+    const tbody = document.getElementById('history-table');
+    const columns = getVisibleColumns();
+    
+    renderHistoryHeader(columns);
+    
+    if (appState.history.data.length === 0) {
+        tbody.innerHTML = `
+            <tr class="no-data">
+                <td colspan="${columns.length}">
+                    <i class="fas fa-database"></i>
+                    ${hasHistoryFilters(appState.history.filters) ? 'No records match the filter' : 'No historical data available'}
+                </td>
+            </tr>
+        `;
+        return;
+    }
+    
+    tbody.innerHTML = appState.history.data.map(item => `
+        <tr${item._flags && Object.keys(item._flags).length > 0 ? ' class="flagged-row"' : ''}>
+            ${columns.map(column => `<td>${column.render(item)}</td>`).join('')}
+        </tr>
+    `).join('');
+}
+
+function renderHistoryHeader(columns) {
+    const headerRow = document.getElementById('history-header');
+    if (!headerRow) return;
+    
+    const sort = appState.history.sort;
+    
+    headerRow.innerHTML = columns.map(column => {
+        let sortIcon = 'fas fa-sort';
+        if (sort && sort.key === column.key) {
+            sortIcon = sort.order === 'asc' ? 'fas fa-sort-up' : 'fas fa-sort-down';
+        }
+        
+        return `
+            <th class="sortable" data-sort="${column.key}">
+                <i class="${column.icon}"></i> ${column.label}
+                <i class="${sortIcon} sort-icon"></i>
+            </th>
+        `;
+    }).join('');
+}
+
+// ====== HISTORY SORTING ======
+function getHistoryColumn(key) {
+    return HISTORY_COLUMNS.find(column => column.key === key);
+}
+
+function toggleHistorySort(key) {
+    const sort = appState.history.sort;
+    
+    // asc -> desc -> server order
+    if (!sort || sort.key !== key) {
+        appState.history.sort = { key: key, order: 'asc' };
+    } else if (sort.order === 'asc') {
+        appState.history.sort = { key: key, order: 'desc' };
+    } else {
+        appState.history.sort = null;
+    }
+    
+    appState.history.clientRows = null;
+    loadHistory(1);
+}
+
+// ====== DERIVED COLUMNS ======
+function formatTempMargin(item) {
+    const margin = getTempMargin(item);
+    if (margin === null) return '--';
+    
+    const className = margin > 0 ? 'margin-over' : 'margin-ok';
+    return `<span class="${className}">${margin > 0 ? '+' : ''}${margin.toFixed(1)} °C</span>`;
+}
+
+// ====== COLUMN LAYOUT ======
+function getUserKey() {
+    return authState.user || 'default';
+}
+
+function loadColumnLayout() {
+    columnLayout = HISTORY_COLUMNS.map(column => ({ key: column.key, visible: column.visible }));
+    
+    try {
+        const saved = JSON.parse(localStorage.getItem(`batteryDashboard.columns.${getUserKey()}`) || 'null');
+        if (Array.isArray(saved)) {
+            // Keep the saved order, then append columns added since the layout was saved
+            const known = saved.filter(entry => getHistoryColumn(entry.key));
+            const added = columnLayout.filter(entry => !known.some(item => item.key === entry.key));
+            columnLayout = known.concat(added);
+        }
+    } catch (error) {
+        console.warn('⚠️ Ignoring corrupted column layout:', error);
+    }
+    
+    renderColumnMenu();
+}
+
+function saveColumnLayout() {
+    localStorage.setItem(`batteryDashboard.columns.${getUserKey()}`, JSON.stringify(columnLayout));
+}
+
+function getVisibleColumns() {
+    return columnLayout
+        .filter(entry => entry.visible)
+        .map(entry => getHistoryColumn(entry.key));
+}
+
+function toggleColumn(key, visible) {
+    const entry = columnLayout.find(item => item.key === key);
+    entry.visible = visible;
+    
+    // Never allow an empty table
+    if (getVisibleColumns().length === 0) {
+        entry.visible = true;
+        showMessage('At least one column must stay visible', 'error');
+    }
+    
+    saveColumnLayout();
+    renderColumnMenu();
+    
+    // Server pages only fetch the reading before their oldest row while the energy column is shown
+    if (key === 'energy' && visible && !appState.history.clientRows && appState.history.pagination) {
+        loadHistory(appState.history.pagination.page);
+    } else {
+        renderHistoryTable();
+    }
+}
+
+function moveColumn(key, offset) {
+    const index = columnLayout.findIndex(item => item.key === key);
+    const target = index + offset;
+    if (target < 0 || target >= columnLayout.length) return;
+    
+    const [entry] = columnLayout.splice(index, 1);
+    columnLayout.splice(target, 0, entry);
+    
+    saveColumnLayout();
+    renderColumnMenu();
+    renderHistoryTable();
+}
+
+function resetColumnLayout() {
+    localStorage.removeItem(`batteryDashboard.columns.${getUserKey()}`);
+    loadColumnLayout();
+    renderHistoryTable();
+}
+
+function renderColumnMenu() {
+    const list = document.getElementById('column-list');
+    if (!list) return;
+    
+    list.innerHTML = columnLayout.map(entry => {
+        const column = getHistoryColumn(entry.key);
+        return `
+            <li>
+                <label class="filter-check">
+                    <input type="checkbox" data-column="${entry.key}" ${entry.visible ? 'checked' : ''}>
+                    ${column.label}${column.derived ? ' <small>(derived)</small>' : ''}
+                </label>
+                <span>
+                    <button data-move="${entry.key}" data-offset="-1" title="Move up"><i class="fas fa-arrow-up"></i></button>
+                    <button data-move="${entry.key}" data-offset="1" title="Move down"><i class="fas fa-arrow-down"></i></button>
+                </span>
+            </li>
+        `;
+    }).join('');
 }
 
 // ====== UPDATE PAGINATION CONTROLS ======
@@ -604,6 +4574,177 @@ function updateTotalData() {
     }
 }
 
+// ====== READING STORE (INDEXEDDB) ======
+function openReadingStore() {
+    return new Promise(resolve => {
+        if (!('indexedDB' in window)) {
+            console.warn('⚠️ IndexedDB not available, readings will not survive a reload');
+            resolve(null);
+            return;
+        }
+        
+        const request = indexedDB.open('batteryDashboard', 1);
+        
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore('readings', { keyPath: 'id', autoIncrement: true });
+            store.createIndex('timestamp', 'timestamp');
+        };
+        
+        request.onsuccess = () => {
+            readingStore.db = request.result;
+            console.log('💾 Reading store opened');
+            
+            pruneReadings();
+            clearInterval(readingStore.pruneTimer);
+            readingStore.pruneTimer = setInterval(pruneReadings, 3600000);
+            resolve(readingStore.db);
+        };
+        
+        request.onerror = () => {
+            console.error('❌ Cannot open reading store:', request.error);
+            resolve(null);
+        };
+    });
+}
+
+function addStoredReading(entry) {
+    if (!readingStore.db) return;
+    
+    const tx = readingStore.db.transaction('readings', 'readwrite');
+    tx.objectStore('readings').add(entry);
+    tx.onerror = () => console.error('❌ Cannot store reading:', tx.error);
+}
+
+function persistReading() {
+    // Synthetic readings never end up next to real ones
+    if (isDemoMode()) return;
+    
+    addStoredReading({
+        timestamp: Date.now(),
+        online: true,
+        source: CONFIG.dataSource,
+        device: getActiveDeviceId(),
+        voltage: appState.voltage,
+        current: appState.current,
+        temperature: appState.temperature,
+        battery: appState.battery,
+        tempLimit: appState.tempLimit,
+        fanStatus: appState.fanStatus,
+        power: appState.power
+    });
+}
+
+function persistOfflineMarker() {
+    if (isDemoMode()) return;
+    
+    // Record the outage itself so the stored trend shows a gap instead of a straight line
+    addStoredReading({
+        timestamp: Date.now(),
+        online: false,
+        source: CONFIG.dataSource,
+        device: getActiveDeviceId()
+    });
+}
+
+// Oldest first. With a limit only the newest readings are read, walking the index backwards,
+// so a startup does not pull a week of every pack's readings into memory for a few points.
+function loadStoredReadings(from, to = Date.now(), device = getActiveDeviceId(), limit = Infinity) {
+    return new Promise(resolve => {
+        if (!readingStore.db) {
+            resolve([]);
+            return;
+        }
+        
+        // Readings stored before devices existed belong to the default pack
+        const matches = reading => (reading.device || CONFIG.defaultDeviceId) === device;
+        const tx = readingStore.db.transaction('readings', 'readonly');
+        const index = tx.objectStore('readings').index('timestamp');
+        let request;
+        
+        if (limit === Infinity) {
+            request = index.getAll(IDBKeyRange.bound(from, to));
+            request.onsuccess = () => resolve(request.result.filter(matches));
+        } else {
+            const readings = [];
+            request = index.openCursor(IDBKeyRange.bound(from, to), 'prev');
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor && matches(cursor.value)) readings.push(cursor.value);
+                if (cursor && readings.length < limit) {
+                    cursor.continue();
+                } else {
+                    resolve(readings.reverse());
+                }
+            };
+        }
+        request.onerror = () => {
+            console.error('❌ Cannot read stored readings:', request.error);
+            resolve([]);
+        };
+    });
+}
+
+function pruneReadings() {
+    if (!readingStore.db) return;
+    
+    const cutoff = Date.now() - CONFIG.readingRetentionDays * 86400000;
+    const tx = readingStore.db.transaction('readings', 'readwrite');
+    const request = tx.objectStore('readings').index('timestamp').openCursor(IDBKeyRange.upperBound(cutoff, true));
+    let removed = 0;
+    
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+            cursor.delete();
+            removed++;
+            cursor.continue();
+        } else if (removed > 0) {
+            console.log(`🧹 Pruned ${removed} readings older than ${CONFIG.readingRetentionDays} days`);
+        }
+    };
+}
+
+async function rehydrateChart() {
+    if (isDemoMode()) return;
+    
+    const readings = await loadStoredReadings(Date.now() - CONFIG.readingRetentionDays * 86400000, Date.now(), getActiveDeviceId(), 30);
+    if (readings.length === 0) return;
+    
+    // Readings that arrived while the store was opening are already on the chart, keep them last
+    const live = appState.chartData;
+    appState.chartData = {
+        labels: [],
+        voltage: [],
+        current: [],
+        temperature: [],
+        battery: [],
+        tempLimit: [],
+        comparison: []
+    };
+    
+    readings.forEach(reading => {
+        pushChartPoint(new Date(reading.timestamp), {
+            voltage: reading.online ? reading.voltage : null,
+            current: reading.online ? reading.current : null,
+            temperature: reading.online ? reading.temperature : null,
+            battery: reading.online ? reading.battery : null,
+            tempLimit: reading.online ? reading.tempLimit : null
+        });
+    });
+    
+    Object.keys(live).forEach(key => {
+        appState.chartData[key] = appState.chartData[key].concat(live[key]).slice(-30);
+    });
+    
+    console.log(`💾 Chart rehydrated from ${readings.length} stored readings`);
+    
+    const activeBtn = document.querySelector('.chart-controls .chart-btn.active');
+    if (activeBtn) {
+        updateChart(activeBtn.dataset.type);
+    }
+    renderThermalMarginChart();
+}
+
 // ====== INITIALIZE CHART ======
 function initializeChart() {
     const canvas = document.getElementById('trend-chart');
@@ -611,6 +4752,10 @@ function initializeChart() {
     
     const ctx = canvas.getContext('2d');
     
+    if (window.ChartZoom) {
+        Chart.register(window.ChartZoom);
+    }
+    
     trendChart = new Chart(ctx, {
         type: 'line',
         data: {
@@ -634,6 +4779,17 @@ function initializeChart() {
                     display: true,
                     labels: { color: '#b3cde0' }
                 },
+                zoom: {
+                    zoom: {
+                        wheel: { enabled: true },
+                        pinch: { enabled: true },
+                        mode: 'x'
+                    },
+                    pan: {
+                        enabled: true,
+                        mode: 'x'
+                    }
+                },
                 tooltip: { 
                     mode: 'index', 
                     intersect: false,
@@ -668,24 +4824,52 @@ function initializeChart() {
     });
 }
 
-// ====== UPDATE CHART DATA ======
-function updateChartData() {
-    const now = new Date();
-    const timeLabel = now.toLocaleTimeString('en-US', { 
+// ====== UPDATE CHART DATA ======
+function updateChartData() {
+    pushChartPoint(new Date(), {
+        voltage: appState.voltage,
+        current: appState.current,
+        temperature: appState.temperature,
+        battery: appState.battery,
+        tempLimit: appState.tempLimit
+    });
+    
+    // Rolling presets keep following the live data
+    if (chartView.series && CHART_RANGES[chartView.range]) {
+        appendRangePoint({
+            t: Date.now(),
+            voltage: appState.voltage,
+            current: appState.current,
+            temperature: appState.temperature,
+            battery: appState.battery,
+            tempLimit: appState.tempLimit
+        });
+    }
+    
+    // Update chart if there's an active button
+    const activeBtn = document.querySelector('.chart-controls .chart-btn.active');
+    if (activeBtn) {
+        updateChart(activeBtn.dataset.type);
+    }
+}
+
+// ====== PUSH CHART POINT ======
+function pushChartPoint(time, values) {
+    const timeLabel = time.toLocaleTimeString('en-US', { 
         hour: '2-digit', 
         minute: '2-digit',
         second: '2-digit'
     });
     
     appState.chartData.labels.push(timeLabel);
-    appState.chartData.voltage.push(appState.voltage);
-    appState.chartData.current.push(appState.current);
-    appState.chartData.temperature.push(appState.temperature);
-    appState.chartData.battery.push(appState.battery);
-    appState.chartData.tempLimit.push(appState.tempLimit);
+    appState.chartData.voltage.push(values.voltage);
+    appState.chartData.current.push(values.current);
+    appState.chartData.temperature.push(values.temperature);
+    appState.chartData.battery.push(values.battery);
+    appState.chartData.tempLimit.push(values.tempLimit);
     
     // Untuk chart comparison
-    const tempDiff = appState.temperature - appState.tempLimit;
+    const tempDiff = values.temperature === null || values.tempLimit === null ? null : values.temperature - values.tempLimit;
     appState.chartData.comparison.push(tempDiff);
     
     // Keep only last 30 points
@@ -699,18 +4883,276 @@ function updateChartData() {
         appState.chartData.tempLimit.shift();
         appState.chartData.comparison.shift();
     }
+}
+
+// ====== SERIES RANGE HELPERS ======
+function seriesMin(values) {
+    let min = Infinity;
+    for (const value of values) {
+        if (value !== null && value < min) min = value;
+    }
+    return min;
+}
+
+function seriesMax(values) {
+    let max = -Infinity;
+    for (const value of values) {
+        if (value !== null && value > max) max = value;
+    }
+    return max;
+}
+
+// ====== CHART RANGE ======
+async function setChartRange(range, from, to) {
+    document.querySelectorAll('.range-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.range === range);
+    });
+    
+    chartView.range = range;
+    chartView.series = null;
+    const loadId = ++chartView.loadId;
+    
+    if (trendChart && trendChart.resetZoom) {
+        trendChart.resetZoom();
+    }
     
-    // Update chart if there's an active button
-    const activeBtn = document.querySelector('.chart-btn.active');
+    if (range === 'live') {
+        updateRangeInfo('');
+        refreshActiveChart();
+        return;
+    }
+    
+    chartView.to = to || Date.now();
+    chartView.from = from || chartView.to - CHART_RANGES[range];
+    updateRangeInfo('<i class="fas fa-spinner fa-spin"></i> Loading...');
+    
+    const points = await loadRangePoints(chartView.from, chartView.to);
+    
+    // A newer range was picked while this one was loading
+    if (loadId !== chartView.loadId) return;
+    
+    chartView.series = {
+        timestamps: [],
+        voltage: [],
+        current: [],
+        temperature: [],
+        battery: [],
+        tempLimit: [],
+        comparison: []
+    };
+    points.forEach(appendRangePoint);
+    
+    refreshActiveChart();
+}
+
+async function loadRangePoints(from, to) {
+    const stored = (isDemoMode() ? [] : await loadStoredReadings(from, to)).map(reading => ({
+        t: reading.timestamp,
+        voltage: reading.online ? reading.voltage : null,
+        current: reading.online ? reading.current : null,
+        temperature: reading.online ? reading.temperature : null,
+        battery: reading.online ? reading.battery : null,
+        tempLimit: reading.online ? reading.tempLimit : null
+    }));
+    
+    // Only go to the server for the part of the window the local store does not cover
+    const coveredFrom = stored.length > 0 ? stored[0].t : to;
+    if (coveredFrom - from < 5 * 60000) {
+        return stored;
+    }
+    
+    try {
+        const rows = await fetchHistoryRange(from, coveredFrom);
+        const history = rows.map(row => ({
+            t: getRowTime(row),
+            voltage: row.voltage,
+            current: row.current,
+            temperature: row.temperature,
+            battery: row.battery,
+            tempLimit: row.temp_limit
+        }));
+        return history.concat(stored);
+    } catch (error) {
+        console.error('❌ Error loading history range:', error);
+        showMessage('Server history unavailable, showing local readings only', 'error');
+        return stored;
+    }
+}
+
+async function fetchHistoryRange(from, to) {
+    const rows = [];
+    
+    // History comes newest first, so stop paging once rows are older than the window
+    for (let page = 1; page <= 200; page++) {
+        const response = await getDataSource().getHistory(Object.assign(
+            { page: page, limit: 500 },
+            buildHistoryFilterParams({ from: from, to: to })
+        ));
+        if (response.status !== 'success') {
+            throw new Error(response.message || 'Failed to load history');
+        }
+        
+        let reachedStart = false;
+        (response.data || []).forEach(row => {
+            const time = getRowTime(row);
+            if (time === null) return;
+            
+            if (time < from) {
+                reachedStart = true;
+            } else if (time < to) {
+                rows.push(row);
+            }
+        });
+        
+        if (reachedStart || !response.pagination || page >= response.pagination.totalPages) break;
+    }
+    
+    return rows.sort((a, b) => getRowTime(a) - getRowTime(b));
+}
+
+function appendRangePoint(point) {
+    const series = chartView.series;
+    
+    series.timestamps.push(point.t);
+    series.voltage.push(point.voltage);
+    series.current.push(point.current);
+    series.temperature.push(point.temperature);
+    series.battery.push(point.battery);
+    series.tempLimit.push(point.tempLimit);
+    series.comparison.push(point.temperature === null || point.tempLimit === null ? null : point.temperature - point.tempLimit);
+    
+    // Drop points that scrolled out of a rolling window
+    if (CHART_RANGES[chartView.range]) {
+        const cutoff = point.t - CHART_RANGES[chartView.range];
+        while (series.timestamps.length > 0 && series.timestamps[0] < cutoff) {
+            Object.keys(series).forEach(key => series[key].shift());
+        }
+    }
+}
+
+function refreshActiveChart() {
+    const activeBtn = document.querySelector('.chart-controls .chart-btn.active');
     if (activeBtn) {
         updateChart(activeBtn.dataset.type);
     }
 }
 
+function updateRangeInfo(html) {
+    const info = document.getElementById('range-info');
+    if (info) {
+        info.innerHTML = html;
+    }
+}
+
+// ====== CHART SERIES ======
+function getChartSeries(type) {
+    if (chartView.range === 'live' || !chartView.series) {
+        return appState.chartData;
+    }
+    
+    const source = chartView.series;
+    const primary = { 'comparison': 'temperature', 'temp-limit': 'tempLimit' }[type] || type;
+    const indices = downsampleLttb(source.timestamps, source[primary], CONFIG.chartMaxPoints);
+    const pick = key => indices.map(index => source[key][index]);
+    
+    const span = source.timestamps.length > 1
+        ? source.timestamps[source.timestamps.length - 1] - source.timestamps[0]
+        : 0;
+    const labelFormat = span > 86400000
+        ? { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }
+        : { hour: '2-digit', minute: '2-digit', second: '2-digit' };
+    
+    if (source.timestamps.length === 0) {
+        updateRangeInfo('No readings in this range');
+    } else if (indices.length < source.timestamps.length) {
+        updateRangeInfo(`${indices.length.toLocaleString('en-US')} of ${source.timestamps.length.toLocaleString('en-US')} points`);
+    } else {
+        updateRangeInfo(`${source.timestamps.length.toLocaleString('en-US')} points`);
+    }
+    
+    return {
+        labels: indices.map(index => new Date(source.timestamps[index]).toLocaleString('en-US', labelFormat)),
+        voltage: pick('voltage'),
+        current: pick('current'),
+        temperature: pick('temperature'),
+        battery: pick('battery'),
+        tempLimit: pick('tempLimit'),
+        comparison: pick('comparison')
+    };
+}
+
+// ====== DOWNSAMPLING (LTTB) ======
+function downsampleLttb(xs, ys, threshold) {
+    const all = xs.map((_, index) => index);
+    if (xs.length <= threshold) return all;
+    
+    // Gaps (null values) stay out of the triangle maths, but the first null of each gap is kept
+    const valid = [];
+    const gaps = [];
+    ys.forEach((y, index) => {
+        if (y === null || y === undefined) {
+            if (index === 0 || (ys[index - 1] !== null && ys[index - 1] !== undefined)) {
+                gaps.push(index);
+            }
+        } else {
+            valid.push(index);
+        }
+    });
+    
+    const target = Math.max(threshold - gaps.length, 3);
+    if (valid.length <= target) {
+        return valid.concat(gaps).sort((a, b) => a - b);
+    }
+    
+    const sampled = [valid[0]];
+    const bucketSize = (valid.length - 2) / (target - 2);
+    let anchor = 0;
+    
+    for (let bucket = 0; bucket < target - 2; bucket++) {
+        // Average point of the next bucket
+        const avgStart = Math.floor((bucket + 1) * bucketSize) + 1;
+        const avgEnd = Math.min(Math.floor((bucket + 2) * bucketSize) + 1, valid.length);
+        let avgX = 0;
+        let avgY = 0;
+        for (let j = avgStart; j < avgEnd; j++) {
+            avgX += xs[valid[j]];
+            avgY += ys[valid[j]];
+        }
+        avgX /= (avgEnd - avgStart);
+        avgY /= (avgEnd - avgStart);
+        
+        // Pick the point of this bucket that forms the largest triangle
+        const rangeStart = Math.floor(bucket * bucketSize) + 1;
+        const rangeEnd = Math.floor((bucket + 1) * bucketSize) + 1;
+        const anchorX = xs[valid[anchor]];
+        const anchorY = ys[valid[anchor]];
+        let maxArea = -1;
+        let next = rangeStart;
+        
+        for (let j = rangeStart; j < rangeEnd; j++) {
+            const area = Math.abs(
+                (anchorX - avgX) * (ys[valid[j]] - anchorY) -
+                (anchorX - xs[valid[j]]) * (avgY - anchorY)
+            );
+            if (area > maxArea) {
+                maxArea = area;
+                next = j;
+            }
+        }
+        
+        sampled.push(valid[next]);
+        anchor = next;
+    }
+    
+    sampled.push(valid[valid.length - 1]);
+    return sampled.concat(gaps).sort((a, b) => a - b);
+}
+
 // ====== UPDATE CHART ======
 function updateChart(type) {
     if (!trendChart) return;
     
+    const series = getChartSeries(type);
     let datasets = [];
     let min = 0;
     let max = 100;
@@ -719,7 +5161,7 @@ function updateChart(type) {
         case 'voltage':
             datasets = [{
                 label: 'Voltage (V)',
-                data: appState.chartData.voltage,
+                data: series.voltage,
                 borderColor: '#0099ff',
                 backgroundColor: '#0099ff20',
                 borderWidth: 2,
@@ -727,14 +5169,14 @@ function updateChart(type) {
                 tension: 0.4,
                 pointRadius: 0
             }];
-            min = Math.min(...appState.chartData.voltage) - 0.5;
-            max = Math.max(...appState.chartData.voltage) + 0.5;
+            min = seriesMin(series.voltage) - 0.5;
+            max = seriesMax(series.voltage) + 0.5;
             break;
             
         case 'current':
             datasets = [{
                 label: 'Current (A)',
-                data: appState.chartData.current,
+                data: series.current,
                 borderColor: '#ff9900',
                 backgroundColor: '#ff990020',
                 borderWidth: 2,
@@ -742,14 +5184,14 @@ function updateChart(type) {
                 tension: 0.4,
                 pointRadius: 0
             }];
-            min = Math.min(...appState.chartData.current) - 0.1;
-            max = Math.max(...appState.chartData.current) + 0.1;
+            min = seriesMin(series.current) - 0.1;
+            max = seriesMax(series.current) + 0.1;
             break;
             
         case 'temperature':
             datasets = [{
                 label: 'Temperature (°C)',
-                data: appState.chartData.temperature,
+                data: series.temperature,
                 borderColor: '#ff3333',
                 backgroundColor: '#ff333320',
                 borderWidth: 2,
@@ -757,14 +5199,14 @@ function updateChart(type) {
                 tension: 0.4,
                 pointRadius: 0
             }];
-            min = Math.min(...appState.chartData.temperature) - 2;
-            max = Math.max(...appState.chartData.temperature) + 2;
+            min = seriesMin(series.temperature) - 2;
+            max = seriesMax(series.temperature) + 2;
             break;
             
         case 'battery':
             datasets = [{
                 label: 'Battery (%)',
-                data: appState.chartData.battery,
+                data: series.battery,
                 borderColor: '#8a2be2',
                 backgroundColor: '#8a2be220',
                 borderWidth: 2,
@@ -779,7 +5221,7 @@ function updateChart(type) {
         case 'temp-limit':
             datasets = [{
                 label: 'Temperature Limit (°C)',
-                data: appState.chartData.tempLimit,
+                data: series.tempLimit,
                 borderColor: '#ff66b2',
                 backgroundColor: '#ff66b220',
                 borderWidth: 2,
@@ -787,15 +5229,15 @@ function updateChart(type) {
                 tension: 0.4,
                 pointRadius: 0
             }];
-            min = Math.min(...appState.chartData.tempLimit) - 2;
-            max = Math.max(...appState.chartData.tempLimit) + 2;
+            min = seriesMin(series.tempLimit) - 2;
+            max = seriesMax(series.tempLimit) + 2;
             break;
             
         case 'comparison':
             datasets = [
                 {
                     label: 'Temperature (°C)',
-                    data: appState.chartData.temperature,
+                    data: series.temperature,
                     borderColor: '#ff3333',
                     backgroundColor: 'rgba(255, 51, 51, 0.1)',
                     borderWidth: 2,
@@ -805,7 +5247,7 @@ function updateChart(type) {
                 },
                 {
                     label: 'Temp Limit (°C)',
-                    data: appState.chartData.tempLimit,
+                    data: series.tempLimit,
                     borderColor: '#ff66b2',
                     backgroundColor: 'rgba(255, 102, 178, 0.1)',
                     borderWidth: 2,
@@ -815,16 +5257,16 @@ function updateChart(type) {
                     borderDash: [5, 5]
                 }
             ];
-            const allTempData = [...appState.chartData.temperature, ...appState.chartData.tempLimit];
-            min = Math.min(...allTempData) - 2;
-            max = Math.max(...allTempData) + 2;
+            const allTempData = [...series.temperature, ...series.tempLimit];
+            min = seriesMin(allTempData) - 2;
+            max = seriesMax(allTempData) + 2;
             break;
             
         default:
             return;
     }
     
-    trendChart.data.labels = appState.chartData.labels;
+    trendChart.data.labels = series.labels;
     trendChart.data.datasets = datasets;
     
     if (type !== 'comparison') {
@@ -837,20 +5279,258 @@ function updateChart(type) {
 
 // ====== START DATA POLLING ======
 function startDataPolling() {
-    // Fetch immediately
-    fetchLatestData();
+    if (pollScheduler.running) return;
     
-    // Then set interval
-    setInterval(() => {
-        if (appState.online || appState.espConnected) {
-            fetchLatestData();
+    pollScheduler.running = true;
+    connectionMonitor.failures = 0;
+    
+    // Fetch immediately, the scheduler takes over afterwards
+    runScheduledPoll();
+}
+
+// ====== STOP DATA POLLING ======
+function stopDataPolling() {
+    clearTimeout(pollScheduler.timer);
+    pollScheduler.running = false;
+    pollScheduler.timer = null;
+    pollScheduler.nextAt = null;
+}
+
+// ====== POLLING SCHEDULER ======
+async function runScheduledPoll() {
+    if (!pollScheduler.running || pollScheduler.inFlight) return;
+    
+    pollScheduler.inFlight = true;
+    pollScheduler.nextAt = null;
+    pollScheduler.lastPollAt = Date.now();
+    
+    try {
+        await fetchLatestData();
+    } finally {
+        pollScheduler.inFlight = false;
+    }
+    
+    const failures = connectionMonitor.recordPoll();
+    if (failures > 0) {
+        console.log(`🔄 Server unreachable (${failures} in a row), backing off...`);
+    }
+    
+    scheduleNextPoll();
+}
+
+function scheduleNextPoll() {
+    clearTimeout(pollScheduler.timer);
+    pollScheduler.timer = null;
+    pollScheduler.nextAt = null;
+    
+    if (!pollScheduler.running || pollScheduler.inFlight) return;
+    
+    const delay = getPollDelay();
+    if (delay === null) {
+        console.log('⏸️ Polling paused while the tab is hidden');
+        return;
+    }
+    
+    // Count from the previous poll so a rate change takes effect right away
+    const elapsed = pollScheduler.lastPollAt ? Date.now() - pollScheduler.lastPollAt : 0;
+    const wait = Math.max(0, delay - elapsed);
+    
+    pollScheduler.nextAt = Date.now() + wait;
+    pollScheduler.timer = setTimeout(runScheduledPoll, wait);
+}
+
+function reschedulePolling() {
+    if (pollScheduler.running) {
+        scheduleNextPoll();
+    }
+}
+
+function getPollDelay() {
+    return connectionMonitor.getPollDelay(document.hidden);
+}
+
+// ====== REFRESH COUNTDOWN ======
+function startRefreshCountdown() {
+    updateRefreshCountdown();
+    setInterval(updateRefreshCountdown, 1000);
+}
+
+function updateRefreshCountdown() {
+    const countdownElement = document.getElementById('next-refresh');
+    if (!countdownElement) return;
+    
+    if (liveStream.transport !== 'polling') {
+        countdownElement.textContent = 'Live stream';
+    } else if (pollScheduler.inFlight) {
+        countdownElement.textContent = 'Refreshing...';
+    } else if (pollScheduler.nextAt) {
+        const seconds = Math.max(0, Math.ceil((pollScheduler.nextAt - Date.now()) / 1000));
+        const suffix = connectionMonitor.failures > 0 ? ' (retry)' : '';
+        countdownElement.textContent = `Next refresh in ${seconds}s${suffix}`;
+    } else if (pollScheduler.running && document.hidden) {
+        countdownElement.textContent = 'Paused';
+    } else {
+        countdownElement.textContent = '';
+    }
+}
+
+// ====== LIVE STREAM (WEBSOCKET / SSE) ======
+function getStreamUrl() {
+    if (CONFIG.pushUrl) return CONFIG.pushUrl;
+    
+    const source = getDataSource();
+    return source.getStreamUrl ? source.getStreamUrl(CONFIG.pushMode) : null;
+}
+
+function startLiveStream() {
+    if (CONFIG.pushMode === 'off') {
+        setTransport('polling');
+        return;
+    }
+    
+    const url = getStreamUrl();
+    if (!url) {
+        console.warn(`⚠️ ${getDataSource().name} has no push stream, staying on polling`);
+        setTransport('polling');
+        return;
+    }
+    
+    console.log(`📡 Opening ${CONFIG.pushMode} stream:`, url);
+    
+    try {
+        let connection;
+        if (CONFIG.pushMode === 'websocket') {
+            connection = new WebSocket(url);
+            connection.onclose = () => handleStreamDrop(connection);
         } else {
-            // Try to reconnect
-            fetchLatestData().catch(() => {
-                console.log('🔄 Attempting to reconnect...');
-            });
+            connection = new EventSource(url);
+            connection.onerror = () => handleStreamDrop(connection);
         }
-    }, CONFIG.refreshInterval);
+        
+        connection.onopen = () => handleStreamOpen(connection);
+        connection.onmessage = (event) => handleStreamMessage(event.data);
+        liveStream.connection = connection;
+    } catch (error) {
+        console.error('❌ Cannot open live stream:', error);
+        handleStreamDrop(null);
+    }
+}
+
+function stopLiveStream() {
+    clearTimeout(liveStream.retryTimer);
+    liveStream.retryTimer = null;
+    
+    const connection = liveStream.connection;
+    liveStream.connection = null;
+    
+    if (connection) {
+        connection.onopen = connection.onmessage = connection.onclose = connection.onerror = null;
+        connection.close();
+    }
+}
+
+function restartLiveStream() {
+    stopLiveStream();
+    liveStream.retryDelay = 5000;
+    startDataPolling();
+    startLiveStream();
+}
+
+function handleStreamOpen(connection) {
+    if (connection !== liveStream.connection) return;
+    
+    console.log(`✅ Live stream connected (${CONFIG.pushMode})`);
+    liveStream.retryDelay = 5000;
+    stopDataPolling();
+    setTransport(CONFIG.pushMode);
+    showMessage(`Live updates via ${getTransportLabel(CONFIG.pushMode)}`, 'success');
+}
+
+function handleStreamMessage(raw) {
+    let payload;
+    try {
+        payload = JSON.parse(raw);
+    } catch (error) {
+        console.warn('⚠️ Ignoring malformed stream message:', raw);
+        return;
+    }
+    
+    // Shared streams may carry other packs too, those only update the fleet overview
+    const deviceId = payload.device_id || (payload.data && payload.data.device_id);
+    if (deviceId && deviceId !== getActiveDeviceId()) {
+        updateFleetDevice(deviceId, toLatestResponse(payload));
+        return;
+    }
+    
+    handleLatestResponse(toLatestResponse(payload));
+}
+
+function handleStreamDrop(connection) {
+    if (connection !== liveStream.connection) return;
+    
+    if (connection) {
+        connection.onopen = connection.onmessage = connection.onclose = connection.onerror = null;
+        connection.close();
+    }
+    liveStream.connection = null;
+    
+    const wasLive = liveStream.transport !== 'polling';
+    setTransport('polling');
+    startDataPolling();
+    
+    if (wasLive) {
+        showMessage('Live stream lost, falling back to polling', 'error');
+    }
+    
+    // Retry the stream with a growing delay while polling keeps the data flowing
+    console.log(`🔁 Retrying live stream in ${liveStream.retryDelay / 1000}s`);
+    clearTimeout(liveStream.retryTimer);
+    liveStream.retryTimer = setTimeout(() => {
+        liveStream.retryTimer = null;
+        startLiveStream();
+    }, liveStream.retryDelay);
+    liveStream.retryDelay = Math.min(liveStream.retryDelay * 2, 60000);
+}
+
+function getTransportLabel(transport) {
+    switch (transport) {
+        case 'websocket': return 'WebSocket';
+        case 'sse': return 'SSE';
+        default: return 'Polling';
+    }
+}
+
+function setTransport(transport) {
+    liveStream.transport = transport;
+    updateTransportDisplay();
+}
+
+// ====== CREATE TRANSPORT DISPLAY ======
+function createTransportDisplay() {
+    if (document.getElementById('transport-display')) return;
+    
+    const transportDisplay = document.createElement('div');
+    transportDisplay.id = 'transport-display';
+    transportDisplay.className = 'transport-indicator polling';
+    
+    const timeoutDisplay = document.getElementById('timeout-display');
+    timeoutDisplay.parentNode.insertBefore(transportDisplay, timeoutDisplay.nextSibling);
+    
+    updateTransportDisplay();
+}
+
+// ====== UPDATE TRANSPORT DISPLAY ======
+function updateTransportDisplay() {
+    const transportElement = document.getElementById('transport-display');
+    if (!transportElement) return;
+    
+    if (liveStream.transport === 'polling') {
+        transportElement.innerHTML = `<i class="fas fa-sync-alt"></i> Polling`;
+        transportElement.className = 'transport-indicator polling';
+    } else {
+        transportElement.innerHTML = `<i class="fas fa-broadcast-tower"></i> ${getTransportLabel(liveStream.transport)}`;
+        transportElement.className = 'transport-indicator push';
+    }
 }
 
 // ====== START UPTIME COUNTER ======
@@ -888,7 +5568,7 @@ function updateConnectionStatus() {
         systemStatus.className = 'status-text online';
         systemStatus.textContent = 'Online';
         
-        dataSource.textContent = 'Google Sheets (Live)';
+        dataSource.textContent = `${getDataSource().name} (Live)`;
         
     } else if (!appState.espConnected && appState.online) {
         statusElement.className = 'status-indicator warning';
@@ -897,7 +5577,7 @@ function updateConnectionStatus() {
         systemStatus.className = 'status-text warning';
         systemStatus.textContent = 'ESP Offline';
         
-        dataSource.textContent = 'Google Sheets (No ESP)';
+        dataSource.textContent = `${getDataSource().name} (No ESP)`;
         
     } else {
         statusElement.className = 'status-indicator offline';
@@ -906,30 +5586,210 @@ function updateConnectionStatus() {
         systemStatus.className = 'status-text offline';
         systemStatus.textContent = 'Offline';
         
-        dataSource.textContent = 'Google Sheets (Offline)';
+        dataSource.textContent = `${getDataSource().name} (Offline)`;
     }
 }
 
 // ====== EXPORT DATA ======
+const ENERGY_SESSION_COLUMNS = [
+    { key: 'type', label: 'Type', value: item => item.type },
+    { key: 'start', label: 'Start', value: item => new Date(item.start).toISOString() },
+    { key: 'end', label: 'End', value: item => new Date(item.end).toISOString() },
+    { key: 'duration_min', label: 'Duration (min)', value: item => Math.round((item.end - item.start) / 6000) / 10, numeric: true },
+    { key: 'energy_wh', label: 'Energy (Wh)', value: item => item.wh, numeric: true },
+    { key: 'charge_ah', label: 'Charge (Ah)', value: item => item.ah, numeric: true },
+    { key: 'start_soc', label: 'Start SoC (%)', value: item => Math.round(item.startSoc * 10) / 10, numeric: true },
+    { key: 'end_soc', label: 'End SoC (%)', value: item => Math.round(item.endSoc * 10) / 10, numeric: true },
+    { key: 'dod', label: 'Depth of Discharge (%)', value: item => item.dod, numeric: true }
+];
+
+const ENERGY_DAY_COLUMNS = [
+    { key: 'date', label: 'Date', value: item => item.date },
+    { key: 'energy_in_wh', label: 'Energy In (Wh)', value: item => Math.round(item.inWh * 100) / 100, numeric: true },
+    { key: 'energy_out_wh', label: 'Energy Out (Wh)', value: item => Math.round(item.outWh * 100) / 100, numeric: true },
+    { key: 'charge_in_ah', label: 'Charge In (Ah)', value: item => Math.round(item.inAh * 1000) / 1000, numeric: true },
+    { key: 'charge_out_ah', label: 'Charge Out (Ah)', value: item => Math.round(item.outAh * 1000) / 1000, numeric: true }
+];
+
+let exportJob = {
+    running: false,
+    cancelled: false
+};
+
 function exportData() {
-    if (appState.history.data.length === 0) {
-        showMessage('No data to export', 'error');
+    if (!hasPermission('export')) {
+        showMessage('Only operators can export data', 'error');
         return;
     }
     
-    let csv = 'Date,Time,Voltage (V),Current (A),Temperature (°C),Battery (%),Fan Status,Temp Limit (°C),Power (W)\n';
+    const dialog = document.getElementById('export-dialog');
     
-    appState.history.data.forEach(item => {
-        csv += `${item.date || ''},${item.time || ''},${item.voltage || ''},${item.current || ''},${item.temperature || ''},${item.battery || ''},${item.fan_status || ''},${item.temp_limit || ''},${item.power || ''}\n`;
-    });
+    // Prefill the range with the active history filter
+    const filters = appState.history.filters;
+    document.getElementById('export-from').value = filters.from ? toDateTimeLocal(filters.from) : '';
+    document.getElementById('export-to').value = filters.to ? toDateTimeLocal(filters.to) : '';
+    
+    setExportProgress(0, '');
+    dialog.classList.add('open');
+}
+
+function closeExportDialog() {
+    if (exportJob.running) {
+        exportJob.cancelled = true;
+        return;
+    }
+    document.getElementById('export-dialog').classList.remove('open');
+}
+
+async function runExport() {
+    if (exportJob.running) return;
+    
+    const format = document.getElementById('export-format').value;
+    const dataset = document.getElementById('export-dataset').value;
+    const scope = document.querySelector('input[name="export-scope"]:checked').value;
+    
+    let filters = {};
+    if (scope === 'filter') {
+        filters = appState.history.filters;
+    } else if (scope === 'range') {
+        const from = document.getElementById('export-from').value;
+        const to = document.getElementById('export-to').value;
+        filters = {
+            from: from ? new Date(from).getTime() : null,
+            to: to ? new Date(to).getTime() : null
+        };
+        
+        if (filters.from && filters.to && filters.from > filters.to) {
+            showMessage('The start of the range must be before its end', 'error');
+            return;
+        }
+    }
+    
+    exportJob.running = true;
+    exportJob.cancelled = false;
+    setExportProgress(0, 'Fetching data...');
+    
+    try {
+        let rows;
+        let truncation = null;
+        let columns = EXPORT_COLUMNS;
+        let name = 'battery-data';
+        let sheetName = 'Battery Data';
+        
+        if (dataset !== 'readings') {
+            // Energy data lives in the browser; only a date range narrows it down
+            const range = scope === 'range' ? filters : {};
+            const inRange = time => (!range.from || time >= range.from) && (!range.to || time <= range.to);
+            
+            if (dataset === 'sessions') {
+                rows = energyState.sessions.filter(session => inRange(session.start)).reverse();
+                columns = ENERGY_SESSION_COLUMNS;
+                name = 'battery-sessions';
+                sheetName = 'Sessions';
+            } else {
+                rows = Object.keys(energyState.days).sort()
+                    .filter(key => inRange(new Date(`${key}T00:00`).getTime()))
+                    .map(key => Object.assign({ date: key }, energyState.days[key]));
+                columns = ENERGY_DAY_COLUMNS;
+                name = 'battery-energy';
+                sheetName = 'Daily Energy';
+            }
+        } else if (scope === 'page') {
+            rows = appState.history.data;
+        } else {
+            const result = await fetchAllHistoryRows(buildHistoryFilterParams(filters), (page, totalPages) => {
+                setExportProgress(page / totalPages * 100, `Fetching page ${page} of ${totalPages}...`);
+                return !exportJob.cancelled;
+            });
+            rows = result.filtered || !hasHistoryFilters(filters)
+                ? result.rows
+                : applyHistoryFilters(result.rows, filters);
+            truncation = result.truncated ? describeTruncation(result) : null;
+        }
+        
+        if (rows.length === 0) {
+            setExportProgress(0, '');
+            showMessage('No data to export', 'error');
+            return;
+        }
+        
+        setExportProgress(100, `Writing ${rows.length} rows...`);
+        
+        const filename = `${name}-${getActiveDeviceId()}-${new Date().toISOString().split('T')[0]}`;
+        if (format === 'json') {
+            downloadFile(buildJsonExport(rows, columns), `${filename}.json`, 'application/json');
+        } else if (format === 'excel') {
+            downloadFile(buildSpreadsheetExport(rows, columns, sheetName), `${filename}.xls`, 'application/vnd.ms-excel');
+        } else {
+            downloadFile(buildCsvExport(rows, columns), `${filename}.csv`, 'text/csv;charset=utf-8;');
+        }
+        
+        if (truncation) {
+            setExportProgress(100, `Exported ${rows.length} rows, incomplete`);
+            showMessage(`Export incomplete: ${truncation}`, 'error');
+        } else {
+            setExportProgress(100, `Exported ${rows.length} rows`);
+            showMessage(`Data exported: ${rows.length} rows`, 'success');
+        }
+    } catch (error) {
+        if (exportJob.cancelled) {
+            setExportProgress(0, 'Export cancelled');
+        } else {
+            console.error('❌ Export failed:', error);
+            setExportProgress(0, '');
+            showMessage('Export failed: ' + error.message, 'error');
+        }
+    } finally {
+        exportJob.running = false;
+    }
+}
+
+function setExportProgress(percent, text) {
+    document.getElementById('export-progress-bar').style.width = `${Math.min(percent, 100)}%`;
+    document.getElementById('export-progress-text').textContent = text;
+    document.getElementById('export-start').disabled = exportJob.running;
+}
+
+// ====== EXPORT FORMATS ======
+function xmlEscape(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function buildSpreadsheetExport(rows, columns = EXPORT_COLUMNS, sheetName = 'Battery Data') {
+    const cell = (value, numeric) => {
+        if (numeric && typeof value === 'number' && !isNaN(value)) {
+            return `<Cell><Data ss:Type="Number">${value}</Data></Cell>`;
+        }
+        return `<Cell><Data ss:Type="String">${xmlEscape(value === null || value === undefined ? '' : value)}</Data></Cell>`;
+    };
+    
+    const header = '<Row>' + columns.map(column => `<Cell ss:StyleID="header"><Data ss:Type="String">${xmlEscape(column.label)}</Data></Cell>`).join('') + '</Row>';
+    const body = rows.map(item => '<Row>' + columns.map(column => cell(column.value(item), column.numeric)).join('') + '</Row>').join('\n');
     
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<?mso-application progid="Excel.Sheet"?>
+<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">
+<Styles><Style ss:ID="header"><Font ss:Bold="1"/></Style></Styles>
+<Worksheet ss:Name="${xmlEscape(sheetName)}">
+<Table>
+${header}
+${body}
+</Table>
+</Worksheet>
+</Workbook>
+`;
+}
+
+// ====== DOWNLOAD FILE ======
+function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type: type });
     const url = URL.createObjectURL(blob);
     const link = document.createElement('a');
     
-    const now = new Date();
-    const filename = `battery-data-${now.toISOString().split('T')[0]}.csv`;
-    
     link.setAttribute('href', url);
     link.setAttribute('download', filename);
     link.style.visibility = 'hidden';
@@ -938,7 +5798,12 @@ function exportData() {
     link.click();
     document.body.removeChild(link);
     
-    showMessage(`Data exported: ${filename}`, 'success');
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function toDateTimeLocal(timestamp) {
+    const date = new Date(timestamp);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
 }
 
 // ====== SHOW MESSAGE ======
@@ -949,7 +5814,7 @@ function showMessage(message, type = 'info') {
     toast.className = `toast ${type}`;
     toast.innerHTML = `
         <i class="fas fa-${type === 'success' ? 'check-circle' : type === 'error' ? 'exclamation-circle' : 'info-circle'}"></i>
-        <span>${message}</span>
+        <span>${escapeHtml(message)}</span>
     `;
     
     document.body.appendChild(toast);
@@ -964,16 +5829,6 @@ function showMessage(message, type = 'info') {
     }, 3000);
 }
 
-// ====== HELPER FUNCTION FOR TIMEOUT ======
-function fetchWithTimeout(url, timeout = 5000) {
-    return Promise.race([
-        fetch(url),
-        new Promise((_, reject) =>
-            setTimeout(() => reject(new Error('Request timeout')), timeout)
-        )
-    ]);
-}
-
 // ====== DEBUG FUNCTIONS ======
 async function debugAPI() {
     console.log('🔍 Debugging API connection...');
@@ -1107,6 +5962,28 @@ style.textContent = `
     
     .timeout-indicator i { font-size: 1rem; }
     
+    .transport-indicator {
+        padding: 10px 16px;
+        border-radius: 20px;
+        font-size: 0.9rem;
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        font-weight: 500;
+    }
+    
+    .transport-indicator.push {
+        background: rgba(0, 204, 204, 0.15);
+        color: #00cccc;
+        border: 1px solid rgba(0, 204, 204, 0.3);
+    }
+    
+    .transport-indicator.polling {
+        background: rgba(255, 255, 255, 0.08);
+        color: #b3cde0;
+        border: 1px solid rgba(255, 255, 255, 0.15);
+    }
+    
     .status-indicator.warning {
         background: rgba(255, 153, 0, 0.15);
         color: #ff9900;
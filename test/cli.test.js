@@ -0,0 +1,37 @@
+// ====== CLI TESTS ======
+// Exit levels of the monitoring CLI, run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getDefaultAlarmRules } = require('../core.js');
+const { evaluateReading, worstLevel } = require('../cli.js');
+
+const READING = { voltage: 26, current: 2, temperature: 30, battery: 80, temp_limit: 45, fan_status: 'ON' };
+
+test('evaluateReading is OK for a complete reading within the thresholds', () => {
+    assert.equal(evaluateReading(READING, getDefaultAlarmRules()).level, 'none');
+});
+
+test('evaluateReading is UNKNOWN when a required value is missing and nothing alarms', () => {
+    const raw = Object.assign({}, READING, { battery: '' });
+    const result = evaluateReading(raw, getDefaultAlarmRules());
+    
+    assert.equal(result.level, 'unknown');
+    assert.equal(result.flags.battery, 'missing');
+});
+
+test('evaluateReading keeps CRITICAL when a required value is missing as well', () => {
+    const raw = Object.assign({}, READING, { temperature: 60 });
+    delete raw.battery;
+    const result = evaluateReading(raw, getDefaultAlarmRules());
+    
+    assert.equal(result.level, 'critical');
+    assert.deepEqual(result.alarms.map(alarm => alarm.id), ['temperature-high']);
+});
+
+test('worstLevel ranks by severity, not by exit code', () => {
+    assert.equal(worstLevel('critical', 'unknown'), 'critical');
+    assert.equal(worstLevel('unknown', 'warning'), 'warning');
+    assert.equal(worstLevel('none', 'unknown'), 'unknown');
+    assert.equal(worstLevel('none', 'none'), 'none');
+});
@@ -0,0 +1,287 @@
+// ====== CORE TESTS ======
+// Unit tests for core.js on the built-in Node test runner, no dependencies:
+//   node --test test/
+// Times are built from local dates, so the tests pass in any time zone.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    HISTORY_FIELDS,
+    validateReading, annotateHistoryRows,
+    paginateRows, applyHistoryFilters, sortHistoryRows, fetchAllHistoryRows,
+    getAlarmLevel,
+    createAppsScriptClient, createConnectionMonitor
+} = require('../core.js');
+
+const MINUTE = 60000;
+
+// One reading per minute from start, fields(index) fills in the values
+function buildReadings(start, count, fields) {
+    return Array.from({ length: count }, (_, index) => Object.assign({
+        timestamp: new Date(start + index * MINUTE).toISOString(),
+        voltage: 26,
+        current: 2,
+        temperature: 30,
+        battery: 80,
+        temp_limit: 45,
+        fan_status: 'OFF'
+    }, fields ? fields(index) : {}));
+}
+
+// ====== READINGS ======
+test('validateReading parses numeric strings and keeps valid values', () => {
+    const result = validateReading({ voltage: '26.1', current: -3, temperature: ' 31.5 ', battery: 80, fan_status: 'on' });
+    
+    assert.deepEqual(result.flags, {});
+    assert.equal(result.values.voltage, 26.1);
+    assert.equal(result.values.current, -3);
+    assert.equal(result.values.temperature, 31.5);
+    assert.equal(result.values.fan_status, 'ON');
+    assert.equal(result.values.temp_limit, null);
+});
+
+test('validateReading flags missing, invalid and out of range fields as null', () => {
+    const result = validateReading({ voltage: '12.5V', current: 2, temperature: 150, fan_status: 'MAYBE', timestamp: 'yesterday' });
+    
+    assert.deepEqual(result.flags, {
+        voltage: 'invalid',
+        temperature: 'range',
+        battery: 'missing',
+        fan_status: 'invalid',
+        timestamp: 'invalid'
+    });
+    assert.equal(result.values.voltage, null);
+    assert.equal(result.values.temperature, null);
+    assert.equal(result.values.battery, null);
+    assert.equal(result.values.current, 2);
+});
+
+test('validateReading does not flag missing optional fields', () => {
+    const result = validateReading({ voltage: 26, current: 0, temperature: 25, battery: 0 });
+    
+    assert.deepEqual(result.flags, {});
+    assert.equal(result.values.battery, 0);
+    assert.equal(result.values.remaining_time, null);
+});
+
+test('annotateHistoryRows starts the oldest row from the previous reading', () => {
+    const start = new Date(2026, 0, 5, 10, 0).getTime();
+    const [previous, ...rows] = buildReadings(start, 3, () => ({ voltage: 10, current: 6 }));
+    
+    annotateHistoryRows(rows);
+    assert.deepEqual(rows.map(row => row._energy), [null, 1]);
+    
+    annotateHistoryRows(rows, previous);
+    assert.deepEqual(rows.map(row => row._energy), [1, 1]);
+});
+
+// ====== HISTORY ======
+test('paginateRows slices pages and clamps the page number', () => {
+    const rows = Array.from({ length: 35 }, (_, index) => ({ id: index }));
+    
+    const last = paginateRows(rows, 3, 15);
+    assert.deepEqual(last.data.map(row => row.id), [30, 31, 32, 33, 34]);
+    assert.deepEqual(last.pagination, { page: 3, totalPages: 3, totalRecords: 35 });
+    
+    assert.equal(paginateRows(rows, 9, 15).pagination.page, 3);
+    assert.equal(paginateRows(rows, 0, 15).data[0].id, 0);
+    assert.equal(paginateRows(rows, 'abc', 15).pagination.page, 1);
+});
+
+test('paginateRows answers an empty history with one empty page', () => {
+    const response = paginateRows([], 1, 15);
+    
+    assert.equal(response.status, 'success');
+    assert.deepEqual(response.data, []);
+    assert.deepEqual(response.pagination, { page: 1, totalPages: 1, totalRecords: 0 });
+});
+
+test('applyHistoryFilters keeps the from/to bounds and the fan filter', () => {
+    const start = new Date(2026, 0, 5, 10, 0).getTime();
+    const rows = buildReadings(start, 10, index => ({ fan_status: index % 2 ? 'ON' : 'OFF' }));
+    
+    assert.equal(applyHistoryFilters(rows, {}).length, 10);
+    assert.equal(applyHistoryFilters(rows, { from: start + 2 * MINUTE, to: start + 5 * MINUTE }).length, 4);
+    assert.equal(applyHistoryFilters(rows, { fanOn: true }).length, 5);
+});
+
+test('applyHistoryFilters compares numbers, not the strings Apps Script may send', () => {
+    const rows = [
+        { date: '2026-01-05', time: '10:00:00', temperature: '9', temp_limit: '45', voltage: '100' },
+        { date: '2026-01-05', time: '10:01:00', temperature: '50', temp_limit: '45', voltage: '9.5' },
+        { date: '2026-01-05', time: '10:02:00', temperature: '50', temp_limit: null, voltage: '' }
+    ];
+    
+    assert.deepEqual(applyHistoryFilters(rows, { aboveLimit: true }), [rows[1]]);
+    assert.deepEqual(applyHistoryFilters(rows, { voltageBelow: 10 }), [rows[1]]);
+    assert.deepEqual(applyHistoryFilters(rows, { aboveLimit: true, voltageBelow: 5 }), []);
+});
+
+test('sortHistoryRows sorts both ways with missing values last', () => {
+    const rows = [{ voltage: 25 }, { voltage: null }, { voltage: 27 }, { voltage: 24 }];
+    const column = { value: HISTORY_FIELDS.voltage };
+    
+    assert.deepEqual(sortHistoryRows(rows, column, 'asc').map(row => row.voltage), [24, 25, 27, null]);
+    assert.deepEqual(sortHistoryRows(rows, column, 'desc').map(row => row.voltage), [27, 25, 24, null]);
+    assert.deepEqual(rows.map(row => row.voltage), [25, null, 27, 24]);
+});
+
+test('sortHistoryRows sorts derived columns and strings', () => {
+    const rows = [
+        { voltage: 20, current: 2, fan_status: 'ON' },
+        { voltage: 25, current: -1, fan_status: 'OFF' },
+        { voltage: 10, current: 5, fan_status: 'ON' }
+    ];
+    
+    assert.deepEqual(sortHistoryRows(rows, { value: HISTORY_FIELDS.power }, 'desc').map(row => row.voltage), [10, 20, 25]);
+    assert.deepEqual(sortHistoryRows(rows, { value: HISTORY_FIELDS.fan_status }, 'asc').map(row => row.fan_status), ['OFF', 'ON', 'ON']);
+});
+
+test('fetchAllHistoryRows reads every page and reports truncation', async () => {
+    const rows = Array.from({ length: 1200 }, (_, index) => ({ id: index }));
+    const complete = await fetchAllHistoryRows(params => Promise.resolve(paginateRows(rows, params.page, params.limit)));
+    
+    assert.equal(complete.rows.length, 1200);
+    assert.equal(complete.truncated, false);
+    assert.equal(complete.totalRecords, 1200);
+    
+    let requests = 0;
+    const endless = await fetchAllHistoryRows(() => {
+        requests++;
+        return Promise.resolve({ status: 'success', data: [], pagination: { page: requests, totalPages: 300, totalRecords: 150000 } });
+    });
+    assert.equal(requests, 200);
+    assert.equal(endless.truncated, true);
+    assert.equal(endless.totalRecords, 150000);
+});
+
+// ====== ALARMS ======
+test('getAlarmLevel raises at the thresholds and drops only past the hysteresis', () => {
+    const rule = { direction: 'above', warning: 40, critical: 45, hysteresis: 1 };
+    
+    assert.equal(getAlarmLevel(rule, 39.9, 'none'), 'none');
+    assert.equal(getAlarmLevel(rule, 40, 'none'), 'warning');
+    assert.equal(getAlarmLevel(rule, 45, 'none'), 'critical');
+    assert.equal(getAlarmLevel(rule, 45, 'warning'), 'critical');
+    
+    assert.equal(getAlarmLevel(rule, 44.5, 'critical'), 'critical');
+    assert.equal(getAlarmLevel(rule, 43.9, 'critical'), 'warning');
+    assert.equal(getAlarmLevel(rule, 39.5, 'critical'), 'warning');
+    assert.equal(getAlarmLevel(rule, 38, 'critical'), 'none');
+    
+    assert.equal(getAlarmLevel(rule, 39.5, 'warning'), 'warning');
+    assert.equal(getAlarmLevel(rule, 38.9, 'warning'), 'none');
+});
+
+test('getAlarmLevel mirrors the hysteresis for rules below a threshold', () => {
+    const rule = { direction: 'below', warning: 23, critical: 22, hysteresis: 0.3 };
+    
+    assert.equal(getAlarmLevel(rule, 23.1, 'none'), 'none');
+    assert.equal(getAlarmLevel(rule, 22.9, 'none'), 'warning');
+    assert.equal(getAlarmLevel(rule, 21.5, 'none'), 'critical');
+    assert.equal(getAlarmLevel(rule, 22.2, 'critical'), 'critical');
+    assert.equal(getAlarmLevel(rule, 22.4, 'critical'), 'warning');
+    assert.equal(getAlarmLevel(rule, 23.2, 'warning'), 'warning');
+    assert.equal(getAlarmLevel(rule, 23.4, 'warning'), 'none');
+});
+
+// ====== NETWORK ======
+test('createAppsScriptClient builds the URL from the default and call params', async () => {
+    const requests = [];
+    let endpoint = 'https://script.example/exec';
+    const client = createAppsScriptClient({
+        endpoint: () => endpoint,
+        timeout: 5000,
+        params: () => ({ device: 'pack 2', token: undefined }),
+        request: (url, timeout, options) => {
+            requests.push({ url: url, timeout: timeout, options: options });
+            return Promise.resolve({ status: 'success', data: [{ id: 'pack 2' }] });
+        }
+    });
+    
+    await client.getHistory({ page: 2, fanOn: true, from: undefined });
+    const url = new URL(requests[0].url);
+    assert.equal(url.origin + url.pathname, 'https://script.example/exec');
+    assert.deepEqual([...url.searchParams.keys()], ['action', 'device', 'page', 'fanOn', '_']);
+    assert.equal(url.searchParams.get('action'), 'getHistory');
+    assert.equal(url.searchParams.get('device'), 'pack 2');
+    assert.equal(requests[0].url.includes('device=pack%202'), true);
+    assert.match(url.searchParams.get('_'), /^\d+$/);
+    assert.equal(requests[0].timeout, 5000);
+    
+    // Call params win over the defaults, a changed endpoint is picked up
+    endpoint = 'https://other.example/exec';
+    assert.deepEqual(await client.getDevices({ device: 'all' }), [{ id: 'pack 2' }]);
+    assert.equal(requests[1].url.startsWith('https://other.example/exec?action=getDevices&device=all&'), true);
+});
+
+test('createAppsScriptClient logs in with a text/plain POST to the endpoint', async () => {
+    let sent = null;
+    const client = createAppsScriptClient({
+        endpoint: 'https://script.example/exec',
+        params: { token: 'abc' },
+        request: (url, timeout, options) => {
+            sent = { url: url, timeout: timeout, options: options };
+            return Promise.resolve({ status: 'success' });
+        }
+    });
+    
+    await client.login('admin', 'p&ss=1');
+    assert.equal(sent.url, 'https://script.example/exec');
+    assert.equal(sent.timeout > 0, true);
+    assert.equal(sent.options.method, 'POST');
+    assert.equal(sent.options.headers['Content-Type'], 'text/plain;charset=utf-8');
+    assert.deepEqual(JSON.parse(sent.options.body), { action: 'login', username: 'admin', password: 'p&ss=1' });
+});
+
+test('createConnectionMonitor tracks the server and the ESP32 from responses and ticks', () => {
+    const state = { online: false, espConnected: false, lastSuccessfulUpdate: null, timeSinceLastUpdate: 0 };
+    const monitor = createConnectionMonitor(state, { espTimeout: 30000 });
+    const now = 1000000;
+    
+    assert.equal(monitor.tick(now), 'offline');
+    
+    assert.equal(monitor.recordResponse({ status: 'success', data: null }, now), false);
+    assert.equal(state.online, true);
+    assert.equal(monitor.getStatus(), 'never-connected');
+    
+    assert.equal(monitor.recordResponse({ status: 'success', data: {}, esp_connected: true }, now), true);
+    assert.equal(state.lastSuccessfulUpdate, now);
+    assert.equal(monitor.tick(now + 20000), 'connected');
+    assert.equal(state.timeSinceLastUpdate, 20);
+    assert.equal(monitor.tick(now + 31000), 'esp-timeout');
+    
+    assert.equal(monitor.recordResponse({ status: 'error' }, now + 40000), false);
+    assert.equal(monitor.getStatus(), 'offline');
+    assert.equal(state.lastSuccessfulUpdate, now);
+});
+
+test('createConnectionMonitor backs off while offline and pauses when hidden', (t) => {
+    const state = { online: true, espConnected: true, lastSuccessfulUpdate: null, timeSinceLastUpdate: 0 };
+    const settings = { refreshInterval: 5000, maxBackoffInterval: 60000, hiddenRefreshInterval: 30000 };
+    const monitor = createConnectionMonitor(state, settings);
+    t.mock.method(Math, 'random', () => 1);
+    
+    assert.equal(monitor.recordPoll(), 0);
+    assert.equal(monitor.getPollDelay(), 5000);
+    assert.equal(monitor.getPollDelay(true), 30000);
+    
+    monitor.recordFailure();
+    const delays = [1, 2, 3, 4, 5].map(failures => {
+        assert.equal(monitor.recordPoll(), failures);
+        return monitor.getPollDelay();
+    });
+    assert.deepEqual(delays, [10000, 20000, 40000, 60000, 60000]);
+    assert.equal(monitor.getPollDelay(true), 60000);
+    
+    // The jitter keeps at least half the backoff
+    Math.random.mock.mockImplementation(() => 0);
+    assert.equal(monitor.getPollDelay(), 30000);
+    
+    settings.hiddenRefreshInterval = 0;
+    assert.equal(monitor.getPollDelay(true), null);
+    
+    state.online = true;
+    assert.equal(monitor.recordPoll(), 0);
+    assert.equal(monitor.getPollDelay(), 5000);
+});
@@ -0,0 +1,145 @@
+// ====== REPORT TESTS ======
+// The day-by-day history walk and the period reports built on it, run with:
+//   node --test test/
+// Times are built from local dates because reports and day walks follow the
+// local calendar, so the tests pass in any time zone.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    paginateRows, queryHistoryRows, walkHistoryByDay,
+    getReportPeriod, createReport, computeReport
+} = require('../core.js');
+
+const MINUTE = 60000;
+
+// One reading per minute from start, fields(index) fills in the values
+function buildReadings(start, count, fields) {
+    return Array.from({ length: count }, (_, index) => Object.assign({
+        timestamp: new Date(start + index * MINUTE).toISOString(),
+        voltage: 26,
+        current: 2,
+        temperature: 30,
+        battery: 80,
+        temp_limit: 45,
+        fan_status: 'OFF'
+    }, fields ? fields(index) : {}));
+}
+
+// ====== HISTORY WALK ======
+test('walkHistoryByDay feeds whole days oldest first, filtered or not by the backend', async () => {
+    const start = new Date(2026, 0, 5, 22, 0).getTime();
+    const rows = buildReadings(start, 8 * 60);
+    const range = { from: new Date(2026, 0, 5, 23, 0).getTime(), to: new Date(2026, 0, 6, 5, 0).getTime(), now: Infinity };
+    
+    const backends = {
+        filtering: params => Promise.resolve(queryHistoryRows(rows, params)),
+        plain: params => Promise.resolve(paginateRows(rows, params.page, params.limit))
+    };
+    
+    for (const name of Object.keys(backends)) {
+        const batches = [];
+        const result = await walkHistoryByDay(backends[name], range, batch => batches.push(batch));
+        
+        assert.equal(batches.length, 2, name);
+        assert.equal(batches[0].length, 60, name);
+        assert.equal(batches[1].length, 5 * 60, name);
+        assert.deepEqual(result, { truncated: false, readings: 6 * 60 }, name);
+    }
+});
+
+
+test('walkHistoryByDay reads a backend that ignores from/to only once', async () => {
+    const start = new Date(2026, 0, 1, 0, 0).getTime();
+    const rows = buildReadings(start, 10 * 24 * 60 / 10).map((row, index) =>
+        Object.assign(row, { timestamp: new Date(start + index * 10 * MINUTE).toISOString() }));
+    const range = { from: start, to: new Date(2026, 0, 11).getTime(), now: Infinity };
+    
+    const requests = { filtering: 0, plain: 0 };
+    const backends = {
+        filtering: params => {
+            requests.filtering++;
+            return Promise.resolve(queryHistoryRows(rows, params));
+        },
+        plain: params => {
+            requests.plain++;
+            return Promise.resolve(paginateRows(rows, params.page, params.limit));
+        }
+    };
+    
+    for (const name of Object.keys(backends)) {
+        const batches = [];
+        const progress = [];
+        const result = await walkHistoryByDay(backends[name], range, batch => batches.push(batch.length),
+            (day, days) => progress.push(`${day}/${days}`));
+        
+        assert.deepEqual(batches, new Array(10).fill(144), name);
+        assert.equal(result.readings, 1440, name);
+        assert.equal(progress[progress.length - 1], name === 'plain' ? '1/1' : '10/10', name);
+    }
+    
+    // A day is one page for the filtering backend, the plain one is read in full once
+    assert.equal(requests.filtering, 10);
+    assert.equal(requests.plain, 3);
+});
+
+// ====== REPORTS ======
+test('getReportPeriod covers the local day, the week from Monday and the month', () => {
+    const date = new Date(2026, 0, 7, 13, 30);
+    
+    const day = getReportPeriod('day', date);
+    assert.deepEqual(day, { type: 'day', from: new Date(2026, 0, 7).getTime(), to: new Date(2026, 0, 8).getTime(), bucket: 'hour' });
+    
+    const week = getReportPeriod('week', date);
+    assert.equal(week.from, new Date(2026, 0, 5).getTime());
+    assert.equal(week.to, new Date(2026, 0, 12).getTime());
+    assert.equal(week.bucket, 'day');
+    
+    const month = getReportPeriod('month', date);
+    assert.equal(month.from, new Date(2026, 0, 1).getTime());
+    assert.equal(month.to, new Date(2026, 1, 1).getTime());
+});
+
+test('computeReport sums time above the limit, fan duty and outages', () => {
+    const period = getReportPeriod('day', new Date(2026, 0, 5));
+    const start = new Date(2026, 0, 5, 10, 0).getTime();
+    const rows = buildReadings(start, 60, index => ({
+        temperature: index >= 20 && index < 30 ? 50 : 30,
+        fan_status: index >= 20 && index < 40 ? 'ON' : 'OFF'
+    }));
+    rows.push(Object.assign({}, rows[0], { timestamp: new Date(period.to + MINUTE).toISOString() }));
+    
+    const report = computeReport(rows, period, { now: period.to });
+    
+    assert.equal(report.readings, 60);
+    assert.equal(report.interval, MINUTE);
+    assert.equal(report.maxGap, 2.5 * MINUTE);
+    assert.equal(report.aboveLimitMs, 10 * MINUTE);
+    // 59 spans of a minute plus the last reading, which counts up to maxGap
+    const coveredMs = 59 * MINUTE + 2.5 * MINUTE;
+    assert.equal(report.fanDuty, 20 * MINUTE / coveredMs * 100);
+    assert.equal(report.availability, coveredMs / (period.to - period.from) * 100);
+    assert.equal(report.outages, 2);
+    assert.deepEqual(report.metrics.temperature, { min: 30, max: 50, avg: (10 * 50 + 50 * 30) / 60, count: 60 });
+    
+    assert.equal(report.buckets.length, 24);
+    assert.equal(report.buckets[10].readings, 60);
+    assert.equal(report.buckets[11].readings, 0);
+});
+
+test('createReport fed a batch at a time matches computeReport', () => {
+    const period = getReportPeriod('week', new Date(2026, 0, 5));
+    const start = new Date(2026, 0, 5, 20, 0).getTime();
+    const rows = buildReadings(start, 8 * 60, index => ({
+        temperature: 40 + (index % 90) / 10,
+        fan_status: index % 7 < 3 ? 'ON' : 'OFF'
+    }));
+    const options = { now: period.to };
+    
+    const report = createReport(period, options);
+    for (let index = 0; index < rows.length; index += 100) {
+        report.add(rows.slice(index, index + 100));
+    }
+    
+    assert.deepEqual(report.finish(), computeReport(rows, period, options));
+});
@@ -0,0 +1,95 @@
+// ====== THERMAL TESTS ======
+// Fan and temperature analytics over a range, run with:
+//   node --test test/
+// Times are built from local dates because the analysis is split by local
+// days, so the tests pass in any time zone.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { paginateRows, walkHistoryByDay, createThermal, computeThermal } = require('../core.js');
+
+const MINUTE = 60000;
+
+// One reading per minute from start, fields(index) fills in the values
+function buildReadings(start, count, fields) {
+    return Array.from({ length: count }, (_, index) => Object.assign({
+        timestamp: new Date(start + index * MINUTE).toISOString(),
+        voltage: 26,
+        current: 2,
+        temperature: 30,
+        battery: 80,
+        temp_limit: 45,
+        fan_status: 'OFF'
+    }, fields ? fields(index) : {}));
+}
+
+// ====== THERMAL ======
+function buildThermalReadings(start) {
+    // Heats past the limit from minute 5, the fan comes on at 10, the pack is back under the limit at 15
+    return buildReadings(start, 30, index => ({
+        temperature: index < 5 ? 40 : index < 15 ? 47 : 44,
+        fan_status: index >= 10 && index < 20 ? 'ON' : 'OFF'
+    }));
+}
+
+test('computeThermal finds the episode above the limit, the activation and time to cool', () => {
+    const start = new Date(2026, 0, 5, 10, 0).getTime();
+    const options = { from: start, to: start + 60 * MINUTE, now: start + 60 * MINUTE };
+    const thermal = computeThermal(buildThermalReadings(start), options);
+    
+    assert.equal(thermal.readings, 30);
+    assert.equal(thermal.aboveEpisodes, 1);
+    assert.equal(thermal.aboveLimitMs, 10 * MINUTE);
+    assert.equal(thermal.longestAboveMs, 10 * MINUTE);
+    assert.equal(thermal.switches, 2);
+    assert.equal(thermal.activations, 1);
+    assert.equal(thermal.cooled, 1);
+    assert.equal(thermal.timeToCool.median, 5 * MINUTE);
+    assert.equal(thermal.onCycle.avg, 10 * MINUTE);
+    assert.equal(thermal.days.length, 1);
+    assert.equal(thermal.days[0].switches, 2);
+});
+
+test('computeThermal ends an activation at a gap in the logging', () => {
+    const start = new Date(2026, 0, 5, 10, 0).getTime();
+    const rows = buildThermalReadings(start).filter((row, index) => index < 12 || index > 16);
+    const thermal = computeThermal(rows, { from: start, to: start + 60 * MINUTE, now: start + 60 * MINUTE });
+    
+    assert.equal(thermal.activations, 1);
+    assert.equal(thermal.cooled, 0);
+});
+
+test('createThermal fed a batch at a time matches computeThermal', () => {
+    const start = new Date(2026, 0, 5, 22, 0).getTime();
+    const rows = [];
+    for (let hour = 0; hour < 6; hour++) {
+        rows.push(...buildThermalReadings(start + hour * 60 * MINUTE));
+    }
+    const options = { from: start, to: start + 6 * 60 * MINUTE, now: start + 6 * 60 * MINUTE };
+    
+    const thermal = createThermal(options);
+    for (let index = 0; index < rows.length; index += 45) {
+        thermal.add(rows.slice(index, index + 45));
+    }
+    
+    assert.deepEqual(thermal.finish(), computeThermal(rows, options));
+});
+
+test('createThermal walked over a backend without from/to matches computeThermal', async () => {
+    const start = new Date(2026, 0, 5, 20, 0).getTime();
+    const rows = [];
+    for (let hour = 0; hour < 8; hour++) {
+        rows.push(...buildThermalReadings(start + hour * 60 * MINUTE));
+    }
+    const options = { from: start, to: start + 8 * 60 * MINUTE, now: start + 8 * 60 * MINUTE };
+    
+    let requests = 0;
+    const thermal = createThermal(options);
+    await walkHistoryByDay(params => {
+        requests++;
+        return Promise.resolve(paginateRows(rows.slice().reverse(), params.page, params.limit));
+    }, { from: options.from, to: options.to, now: options.now }, batch => thermal.add(batch));
+    
+    assert.equal(requests, 1);
+    assert.deepEqual(thermal.finish(), computeThermal(rows, options));
+});